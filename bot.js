@@ -0,0 +1,342 @@
+// bot.js - Headless gardeners that play over the same Socket.IO events as the browser client.
+//
+//   node bot.js --room ABCD             one helper bot in an existing garden
+//   node bot.js --count 20              create a garden and fill it with 20 bots (load test)
+//   node bot.js --count 5 --room ABCD   add 5 bots to an existing garden
+//
+// Options: --url (default http://localhost:$PORT or 3000), --room, --count (default 1),
+// --layout (for new gardens), --stats (seconds between load-test reports, default 10).
+const { io } = require('socket.io-client');
+
+// --- Bot Constants ---
+const BOT_SPEED = 4.0; // Units per second - a little under the server's PLAYER_SPEED_SERVER
+const BOT_HALF_SIZE = 0.5; // Bots are unit cubes, like players
+const THINK_INTERVAL = 50; // ms between bot updates (and position updates sent, like the client's 20 per second)
+const ACTION_COOLDOWN = 500; // ms between actions, well inside the server's rate limits
+const COLLECT_DISTANCE = 0.8; // How close a bot walks to a resource before collecting it
+const SLOT_DISTANCE = 1.5; // How close a bot walks to a slot before planting or nurturing
+const STUCK_TIMEOUT = 4000; // ms without reaching a target before giving up on it
+const JOIN_STAGGER = 100; // ms between bots connecting, so a big load test doesn't arrive all at once
+
+// --- Bot State ---
+function createBot(url, index) {
+    return {
+        index,
+        name: `Bot ${index + 1}`,
+        socket: io(url, { transports: ['websocket'] }),
+        playerId: null,
+        roomCode: null,
+        sessionToken: null, // Lets a reconnecting bot resume as the same gardener
+        position: null, // Where we are, as far as the server last agreed
+        inventory: {},
+        layout: null,
+        species: {},
+        resources: {}, // { resourceId: resource } - orbs on the map
+        flowers: {}, // { slotId: flower }
+        phase: 'lobby',
+        target: null, // { kind: 'collect' | 'plant' | 'nurture' | 'wander', id, position, since }
+        lastActionAt: 0,
+        nextRequestId: 1, // Actions carry an id so the server answers them with an actionResult
+        thinkInterval: null,
+        stats: { moves: 0, actionsOk: 0, actionsFailed: 0, corrections: 0, snapshots: 0 }
+    };
+}
+
+// --- Connection ---
+// Resolves with the garden code once the bot is in a garden
+function connectBot(bot, roomCode, layoutId) {
+    const { socket } = bot;
+
+    // Batched events arrive in snapshots; hand them to the same handlers the client uses
+    socket.on('snapshot', (snapshot) => {
+        bot.stats.snapshots++;
+        [...snapshot.events, ...(snapshot.personal || [])].forEach(([event, data]) => {
+            socket.listeners(event).forEach(listener => listener(data));
+        });
+    });
+
+    socket.on('initialState', (state) => {
+        bot.playerId = state.playerId;
+        bot.roomCode = state.roomCode;
+        bot.sessionToken = state.sessionToken; // To get the same gardener back after a reconnect
+        bot.layout = state.layout;
+        bot.species = state.species;
+        bot.flowers = state.flowers;
+        bot.resources = {};
+        state.resources.forEach(resource => { bot.resources[resource.id] = resource; });
+        bot.position = { ...state.players[state.playerId].position };
+        bot.inventory = state.players[state.playerId].resources;
+        bot.target = null;
+        onPhaseUpdate(bot, state.phase);
+        if (!bot.thinkInterval) {
+            bot.thinkInterval = setInterval(() => think(bot), THINK_INTERVAL);
+        }
+    });
+
+    socket.on('disconnect', () => {
+        bot.phase = null; // Stop moving until we're back in the garden
+    });
+    socket.on('phaseUpdate', (phase) => onPhaseUpdate(bot, phase));
+    socket.on('gameStateReset', (state) => {
+        bot.resources = {};
+        bot.flowers = state.flowers;
+        bot.target = null;
+    });
+    socket.on('resourceSpawned', (resource) => { bot.resources[resource.id] = resource; });
+    socket.on('resourceRemoved', (resourceId) => forgetResource(bot, resourceId));
+    socket.on('resourceDespawned', (resourceId) => forgetResource(bot, resourceId));
+    socket.on('updatePlayerResources', (inventory) => { bot.inventory = inventory; });
+    socket.on('flowerPlanted', (flower) => { bot.flowers[flower.slotId] = flower; });
+    socket.on('flowerGrown', (flower) => { bot.flowers[flower.slotId] = flower; });
+    socket.on('flowerUpdated', (flower) => { bot.flowers[flower.slotId] = flower; });
+    socket.on('flowerDied', (slotId) => { delete bot.flowers[slotId]; });
+    socket.on('positionCorrection', (position) => {
+        bot.stats.corrections++;
+        bot.position = { ...position };
+        bot.target = null; // Whatever we were heading for, rethink from here
+    });
+    socket.on('actionResult', (result) => {
+        bot.stats[result.ok ? 'actionsOk' : 'actionsFailed']++;
+    });
+    socket.on('kicked', (data) => console.warn(`[${bot.name}] Kicked: ${data.reason}`));
+    socket.on('joinFailed', (data) => {
+        if (!bot.roomCode) return; // Our first join; connectBot()'s caller deals with that
+        // Our garden closed while we were away, so there's nothing left to rejoin
+        console.warn(`[${bot.name}] Could not rejoin ${bot.roomCode}: ${data.reason} Stopping.`);
+        stopBot(bot);
+    });
+
+    return new Promise((resolve, reject) => {
+        socket.once('initialState', (state) => resolve(state.roomCode));
+        socket.once('joinFailed', (data) => reject(new Error(data.reason)));
+        // Socket.IO reconnects on its own after a drop, so (re)join on every connect - once the
+        // server has sent the colours and avatars it offers, so bots take turns wearing them
+        socket.on('profileOptions', ({ colors, avatars }) => {
+            const profile = {
+                name: bot.name,
+                color: colors[bot.index % colors.length],
+                avatar: avatars[bot.index % avatars.length]
+            };
+            if (bot.roomCode) {
+                socket.emit('joinRoom', { code: bot.roomCode, sessionToken: bot.sessionToken, profile });
+            } else if (roomCode) {
+                socket.emit('joinRoom', { code: roomCode, profile });
+            } else {
+                socket.emit('createRoom', { layoutId, profile });
+            }
+        });
+    });
+}
+
+function onPhaseUpdate(bot, phase) {
+    bot.phase = phase.phase;
+    // Bots are always ready, so they never hold up a round; the humans decide when it starts
+    if (phase.phase === 'lobby' && !phase.readyPlayers.includes(bot.playerId)) {
+        bot.socket.emit('setReady', { ready: true });
+    }
+}
+
+function forgetResource(bot, resourceId) {
+    delete bot.resources[resourceId];
+    if (bot.target && bot.target.id === resourceId) bot.target = null;
+}
+
+function stopBot(bot) {
+    clearInterval(bot.thinkInterval);
+    bot.socket.close();
+}
+
+// --- Behaviour ---
+function think(bot) {
+    if (bot.phase !== 'playing' || !bot.position) return;
+
+    const now = Date.now();
+    if (!bot.target || now - bot.target.since > STUCK_TIMEOUT) {
+        bot.target = chooseTarget(bot, now);
+    }
+
+    const { target } = bot;
+    const reach = target.kind === 'collect' ? COLLECT_DISTANCE : target.kind === 'wander' ? 0.3 : SLOT_DISTANCE;
+    if (distanceBetween(bot.position, target.position) > reach) {
+        moveTowards(bot, target.position, THINK_INTERVAL / 1000);
+        return;
+    }
+    if (now - bot.lastActionAt < ACTION_COOLDOWN) return;
+
+    bot.lastActionAt = now;
+    const requestId = bot.nextRequestId++;
+    switch (target.kind) {
+        case 'collect':
+            bot.socket.emit('collectResource', target.id, requestId);
+            break;
+        case 'plant':
+            bot.socket.emit('plantFlower', { slotId: target.id, species: target.species }, requestId);
+            break;
+        case 'nurture':
+            bot.socket.emit('nurtureFlower', { slotId: target.id, item: 'water' }, requestId);
+            break;
+    }
+    bot.target = null; // Pick something new next time
+}
+
+// Nurture thirsty or growing flowers first, then plant, then gather; wander if there's nothing to do
+function chooseTarget(bot, now) {
+    const slots = bot.layout.slots;
+
+    if (bot.inventory.water > 0) {
+        const needy = slots
+            .filter(slot => {
+                const flower = bot.flowers[slot.id];
+                return flower && (flower.stage !== 'bloom' || flower.health < 100);
+            })
+            .sort((a, b) => bot.flowers[a.id].health - bot.flowers[b.id].health); // Driest first
+        if (needy.length) return { kind: 'nurture', id: needy[0].id, position: needy[0].position, since: now };
+    }
+
+    const affordable = Object.values(bot.species).filter(species => canAfford(bot.inventory, species.cost));
+    const emptySlot = closest(bot.position, slots.filter(slot => !bot.flowers[slot.id]));
+    if (affordable.length && emptySlot) {
+        const species = affordable[Math.floor(Math.random() * affordable.length)];
+        return { kind: 'plant', id: emptySlot.id, species: species.id, position: emptySlot.position, since: now };
+    }
+
+    const resource = closest(bot.position, Object.values(bot.resources));
+    if (resource) return { kind: 'collect', id: resource.id, position: resource.position, since: now };
+
+    const half = bot.layout.size / 2 - 1;
+    const position = { x: (Math.random() * 2 - 1) * half, z: (Math.random() * 2 - 1) * half };
+    return { kind: 'wander', id: null, position, since: now };
+}
+
+// Steps towards the target, sliding along obstacles like the client does
+function moveTowards(bot, target, deltaTime) {
+    const dx = target.x - bot.position.x;
+    const dz = target.z - bot.position.z;
+    const distance = Math.hypot(dx, dz);
+    const step = Math.min(distance, BOT_SPEED * deltaTime);
+    const half = bot.layout.size / 2 - BOT_HALF_SIZE;
+    const next = {
+        x: Math.max(-half, Math.min(half, bot.position.x + dx / distance * step)),
+        y: 0.5,
+        z: Math.max(-half, Math.min(half, bot.position.z + dz / distance * step))
+    };
+
+    if (isInsideObstacle(bot.layout, next)) {
+        const slideX = { ...next, z: bot.position.z };
+        const slideZ = { ...next, x: bot.position.x };
+        if (!isInsideObstacle(bot.layout, slideX)) {
+            next.z = bot.position.z;
+        } else if (!isInsideObstacle(bot.layout, slideZ)) {
+            next.x = bot.position.x;
+        } else {
+            bot.target = null; // Boxed in; try somewhere else
+            return;
+        }
+    }
+
+    bot.position = next;
+    bot.socket.emit('playerMove', next);
+    bot.stats.moves++;
+}
+
+// --- Helpers ---
+function distanceBetween(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+function closest(from, things) {
+    let best = null;
+    let bestDistance = Infinity;
+    things.forEach(thing => {
+        const distance = distanceBetween(from, thing.position);
+        if (distance < bestDistance) {
+            best = thing;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+function canAfford(inventory, cost) {
+    return Object.keys(cost).every(type => (inventory[type] || 0) >= cost[type]);
+}
+
+function isInsideObstacle(layout, position) {
+    return layout.obstacles.some(obstacle =>
+        Math.abs(position.x - obstacle.position.x) < obstacle.width / 2 + BOT_HALF_SIZE &&
+        Math.abs(position.z - obstacle.position.z) < obstacle.depth / 2 + BOT_HALF_SIZE
+    );
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+// --- Load Test Reporting ---
+function reportStats(bots, startedAt) {
+    const totals = { moves: 0, actionsOk: 0, actionsFailed: 0, corrections: 0, snapshots: 0 };
+    bots.forEach(bot => {
+        for (const key in totals) totals[key] += bot.stats[key];
+    });
+    const connected = bots.filter(bot => bot.socket.connected).length;
+    const seconds = (Date.now() - startedAt) / 1000;
+    console.log(
+        `[${seconds.toFixed(0)}s] ${connected}/${bots.length} connected | ` +
+        `moves ${totals.moves} | actions ${totals.actionsOk} ok, ${totals.actionsFailed} failed | ` +
+        `corrections ${totals.corrections} | snapshots ${(totals.snapshots / seconds).toFixed(1)}/s`
+    );
+}
+
+// --- Main ---
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const url = options.url || `http://localhost:${process.env.PORT || 3000}`;
+    const count = Math.max(1, Number(options.count) || 1);
+    const statsInterval = (Number(options.stats) || 10) * 1000;
+    let roomCode = options.room ? options.room.toUpperCase() : null;
+
+    const bots = [];
+    const startedAt = Date.now();
+    for (let i = 0; i < count; i++) {
+        const bot = createBot(url, i);
+        bots.push(bot);
+        try {
+            roomCode = await connectBot(bot, roomCode, options.layout);
+        } catch (err) {
+            console.error(`[${bot.name}] Could not join: ${err.message}`);
+            bots.forEach(stopBot);
+            process.exit(1);
+        }
+        if (i === 0) console.log(`Bots are gardening in ${roomCode} (${url})`);
+        await new Promise(resolve => setTimeout(resolve, JOIN_STAGGER));
+    }
+    console.log(`${bots.length} bot(s) joined.`);
+
+    setInterval(() => {
+        reportStats(bots, startedAt);
+        if (bots.every(bot => !bot.socket.active)) {
+            console.log('Every bot has stopped.');
+            process.exit(1);
+        }
+    }, statsInterval);
+    const shutdown = () => {
+        reportStats(bots, startedAt);
+        bots.forEach(stopBot);
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { createBot, connectBot, stopBot };
@@ -0,0 +1,1225 @@
+// engine.js - The game rules: gardens, players, resources, flowers, weather and rounds.
+// Nothing in here knows about sockets or timers. The server (server.js) feeds player inputs in
+// with queueInput(), calls tick() at TICK_RATE and delivers what the room queued up to send:
+// room.outbox goes to everyone, room.playerOutbox to single players. Each room has its own clock
+// and random number source, so tests (and replays) can run a garden deterministically.
+const crypto = require('crypto');
+const { Vector3 } = require('three'); // THREE's Vector3 on the server too, for distance calcs
+
+// --- Game Constants ---
+const PLAYER_SPEED_SERVER = 5.0; // Units per second - keep consistent with client PLAYER_SPEED
+const PLAYER_HALF_SIZE = 0.5; // Players are unit cubes
+const PLAYER_HEIGHT = 0.5; // Players always stand on the ground
+const MOVE_SPEED_TOLERANCE = 1.5; // Allowance for network jitter bunching updates together
+const MOVE_DISTANCE_SLACK = 0.5; // Extra units a player starts with, on top of the speed budget
+const MAX_MOVE_INTERVAL = 200; // ms - cap on the time budget (a few of the client's 50ms sends) so idling can't bank a teleport
+const MAX_MOVE_ALLOWANCE = PLAYER_SPEED_SERVER * MOVE_SPEED_TOLERANCE * MAX_MOVE_INTERVAL / 1000 + MOVE_DISTANCE_SLACK;
+const COLLECT_RANGE = 2.0; // Allow slightly larger distance than client check
+const PLANT_RANGE = 3.0; // Planting range check (client uses 2.0)
+const NURTURE_RANGE = 3.0; // Nurturing range check (client uses 2.0)
+const TICK_RATE = 10; // Simulation ticks per second, per room
+const TICK_INTERVAL = 1000 / TICK_RATE; // ms of game time each tick advances
+const RESOURCE_SPAWN_RATE = 5000; // ms between spawns (at a weather spawn rate of 1)
+const MAX_RESOURCES = 30; // Limit total resources on map
+// Resource orbs. Each spawn picks a type by weight (dayWeight or nightWeight, times any
+// weatherWeights entry for the current weather). Orbs despawn after `lifetime` seconds of
+// round time; types with a `cluster` sometimes spawn as a small group instead of alone.
+const RESOURCE_TYPES = {
+    petal: {
+        gives: { petals: 1 },
+        dayWeight: 60,
+        nightWeight: 30,
+        lifetime: 60,
+        cluster: { chance: 0.2, size: [3, 5], radius: 1.5 }
+    },
+    water: {
+        gives: { water: 1 },
+        dayWeight: 40,
+        nightWeight: 70, // Dew collects at night
+        weatherWeights: { 'Rainy': 2.5, 'Stormy': 2 },
+        lifetime: 45,
+        cluster: { chance: 0.2, size: [3, 4], radius: 1.5 }
+    },
+    goldenPetal: { // Rare, and gone quickly
+        gives: { petals: 3 },
+        dayWeight: 3,
+        nightWeight: 0,
+        weatherWeights: { 'Sunny': 2 },
+        lifetime: 20
+    },
+    moonDew: { // Rare, night only
+        gives: { water: 3 },
+        dayWeight: 0,
+        nightWeight: 4,
+        lifetime: 20
+    }
+};
+const WEATHER_SPAWN_RATES = { // Spawns per RESOURCE_SPAWN_RATE, by weather (fractions carry over)
+    'Sunny': 1,
+    'Cloudy': 0.8,
+    'Rainy': 1.5,
+    'Stormy': 1.2
+};
+const DAY_LENGTH = Number(process.env.DAY_LENGTH) || 360000; // ms for a full day and night, on the server clock
+const NIGHT_START = 0.6; // Fraction of the day (which starts at sunrise) when night falls
+const NIGHT_GROWTH_MODIFIER = 0.6; // Most flowers grow slower in the dark...
+const NIGHT_HEALTH_DRAIN_MODIFIER = 0.5; // ...but dry out slower too
+const FLOWER_GROWTH_TIMES = { // Time units (e.g., nurture ticks) per stage - the Love Bloom's pace
+    'seed': 1, 
+    'sprout': 2,
+    'budding': 3,
+    'bloom': Infinity // Already bloomed
+};
+const WEATHER_TYPES = ['Sunny', 'Cloudy', 'Rainy', 'Stormy'];
+const WEATHER_DURATIONS = { // Seconds of round time each weather lasts, [min, max]
+    'Sunny': [40, 70],
+    'Cloudy': [30, 50],
+    'Rainy': [25, 45],
+    'Stormy': [15, 25]
+};
+const WEATHER_TRANSITIONS = { // Relative odds of what comes next; storms only brew from clouds and rain
+    'Sunny': { 'Cloudy': 3, 'Rainy': 1 },
+    'Cloudy': { 'Sunny': 2, 'Rainy': 2, 'Stormy': 1 },
+    'Rainy': { 'Cloudy': 2, 'Sunny': 1, 'Stormy': 1 },
+    'Stormy': { 'Rainy': 2, 'Cloudy': 1 }
+};
+const FORECAST_LENGTH = 3; // Upcoming weather changes broadcast to players
+const WEATHER_GROWTH_MODIFIERS = {
+    'Sunny': 1.0,  // Normal growth
+    'Cloudy': 0.7, // Slower growth
+    'Rainy': 1.5,  // Faster growth (water helps!)
+    'Stormy': 0.4  // Battered by the wind
+};
+// Flower species, chosen at planting time. Each has its own stage thresholds, weather
+// preferences, planting cost and bloom look (sent to clients for rendering).
+const FLOWER_SPECIES = {
+    loveBloom: {
+        name: 'Love Bloom',
+        growthTimes: FLOWER_GROWTH_TIMES,
+        weatherModifiers: WEATHER_GROWTH_MODIFIERS,
+        cost: { petals: 1 },
+        bloom: { color: 0xFF69B4, shape: 'sphere' } // Hot pink
+    },
+    sunflower: {
+        name: 'Sunflower',
+        growthTimes: { 'seed': 2, 'sprout': 2, 'budding': 3, 'bloom': Infinity },
+        weatherModifiers: { 'Sunny': 1.6, 'Cloudy': 0.6, 'Rainy': 0.8, 'Stormy': 0.2 }, // Loves the sun
+        cost: { petals: 2 },
+        bloom: { color: 0xFFD700, shape: 'disc' } // Gold
+    },
+    bluebell: {
+        name: 'Bluebell',
+        growthTimes: { 'seed': 1, 'sprout': 1, 'budding': 2, 'bloom': Infinity },
+        weatherModifiers: { 'Sunny': 0.7, 'Cloudy': 1.3, 'Rainy': 1.2, 'Stormy': 0.9 }, // Prefers shade
+        cost: { petals: 1, water: 1 },
+        bloom: { color: 0x6A5ACD, shape: 'bell' } // Slate blue
+    },
+    moonflower: {
+        name: 'Moonflower',
+        growthTimes: { 'seed': 1, 'sprout': 2, 'budding': 2, 'bloom': Infinity },
+        weatherModifiers: { 'Sunny': 0.8, 'Cloudy': 1.0, 'Rainy': 1.2, 'Stormy': 0.4 },
+        nightModifier: 1.8, // Grows best after dark (replaces NIGHT_GROWTH_MODIFIER)
+        cost: { petals: 1, water: 2 },
+        bloom: { color: 0xE0F0FF, shape: 'star', glow: true } // Pale blue-white, glows at night
+    },
+    starbloom: {
+        name: 'Starbloom',
+        growthTimes: { 'seed': 2, 'sprout': 2, 'budding': 2, 'bloom': Infinity },
+        weatherModifiers: { 'Sunny': 1.2, 'Cloudy': 1.2, 'Rainy': 1.2, 'Stormy': 1.0 }, // Hardy
+        cost: { rareSeed: 1 }, // Crafted, see RECIPES
+        bloom: { color: 0x00E5CC, shape: 'knot' } // Turquoise
+    }
+};
+const DEFAULT_SPECIES_ID = 'loveBloom'; // Also used for flowers saved before species existed
+const STAGE_ORDER = ['seed', 'sprout', 'budding', 'bloom'];
+// Flower health (hydration) drains over time; neglected flowers wilt, shrink back a stage and die
+const MAX_FLOWER_HEALTH = 100;
+const FLOWER_HEALTH_TICK_RATE = 5000; // ms between health updates
+const FLOWER_HEALTH_DRAIN = { // Health lost per tick, by weather (negative refills)
+    'Sunny': 3,
+    'Cloudy': 1.5,
+    'Rainy': -4, // Rain waters every flower
+    'Stormy': -2 // Some rain, but the wind dries them out too
+};
+const NURTURE_HEALTH_RESTORE = 35; // Health restored by each nurture
+const NURTURE_ITEMS = { // What nurturing with each inventory item does (progress is before weather and night modifiers)
+    water: { progress: 1, health: NURTURE_HEALTH_RESTORE },
+    fertiliser: { progress: 3, health: 10 } // A big push towards the next stage
+};
+const RECIPES = { // Crafted items go into the player's inventory next to petals and water
+    fertiliser: { name: 'Fertiliser', ingredients: { petals: 2, water: 2 } },
+    rareSeed: { name: 'Rare Seed', ingredients: { petals: 4, water: 1 } } // Plants a Starbloom
+};
+const WILT_THRESHOLD = 40; // Below this a flower is wilted and starts losing nurture progress
+const STAGE_DROP_THRESHOLD = 20; // Below this a wilted flower with no progress left drops a stage
+const WILT_PROGRESS_LOSS = 0.25; // Nurture progress lost per tick while wilted
+
+const SCORE_WEIGHTS = { // Contribution score per stat, for the end-of-round summary
+    resourcesCollected: 1,
+    seedsPlanted: 3,
+    nurturesGiven: 2,
+    flowersBloomed: 10
+};
+const HIGHLIGHTS = [ // Shown on the results screen for whoever leads each stat
+    { stat: 'score', title: 'Garden MVP' },
+    { stat: 'resourcesCollected', title: 'Top Gatherer' },
+    { stat: 'seedsPlanted', title: 'Green Thumb' },
+    { stat: 'nurturesGiven', title: 'Water Bearer' },
+    { stat: 'flowersBloomed', title: 'Bloom Master' }
+];
+
+const ROUND_DURATION = Number(process.env.ROUND_DURATION) || 1800; // Default seconds per round
+const MIN_ROUND_DURATION = 60; // Limits for the round length chosen when creating a garden
+const MAX_ROUND_DURATION = 3600;
+const COUNTDOWN_SECONDS = 5; // Once everyone is ready
+const RESULTS_SECONDS = 20; // Results are shown this long before going back to the lobby
+const ACTION_MESSAGES = { // Default message for each action result code, see actionResult()
+    OK: 'Done',
+    NOT_PLAYING: 'Wait for the round to start',
+    RATE_LIMITED: 'Slow down!',
+    INVALID_REQUEST: 'That doesn\'t look right',
+    RESOURCE_GONE: 'Someone got there first',
+    TOO_FAR: 'Too far away',
+    UNKNOWN_SLOT: 'There\'s no plot there',
+    SLOT_TAKEN: 'Slot taken',
+    UNKNOWN_SPECIES: 'Unknown seed',
+    NO_FLOWER: 'Nothing planted there',
+    FULLY_GROWN: 'Already in full bloom',
+    NEED_RESOURCES: 'Not enough resources',
+    UNKNOWN_RECIPE: 'Unknown recipe'
+};
+const MAX_CHAT_LENGTH = 200; // Characters per chat message
+const PROFANITY = ['fuck', 'shit', 'bitch', 'cunt', 'asshole', 'bastard', 'dick', 'piss', 'slut', 'whore']; // Masked in chat
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|ing|er|ers|head|heads)?\\b`, 'gi');
+const MAX_NAME_LENGTH = 16; // Characters in a display name
+const PLAYER_COLORS = ['#4CAF50', '#E91E63', '#2196F3', '#FF9800', '#9C27B0', '#00BCD4', '#FFEB3B', '#795548'];
+const AVATAR_STYLES = ['cube', 'ball', 'cone', 'barrel'];
+const EMOTES = ['heart', 'waterHere', 'wave', 'cheer']; // Quick emotes the client can show above a player
+
+// --- Clock & Randomness ---
+// Rooms read the time through room.clock() and roll dice through room.random(). Both default
+// to the real thing (Date.now, Math.random); pass your own to createRoom() to control them.
+
+// Seeded random numbers in [0, 1) (mulberry32) - the same seed always plays out the same garden
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// --- Garden Layouts ---
+// Layouts are plain data (see the layouts/ directory); validateLayout() checks one and fills in defaults.
+function validateLayout(layout) {
+    if (typeof layout.id !== 'string' || !layout.id) throw new Error('missing id');
+    if (!(layout.size > 0)) throw new Error('size must be a positive number');
+    if (!Array.isArray(layout.slots) || layout.slots.length === 0) throw new Error('needs at least one slot');
+    if (!Array.isArray(layout.spawnZones) || layout.spawnZones.length === 0) throw new Error('needs at least one spawn zone');
+    layout.spawnZones.forEach((zone, index) => {
+        // Zones may be limited to some resource types, and weighted (by default, by their area)
+        const unknownType = (zone.types || []).find(type => !RESOURCE_TYPES[type]);
+        if (unknownType) throw new Error(`spawn zone ${index} has unknown resource type "${unknownType}"`);
+        if (zone.weight !== undefined && !(zone.weight > 0)) throw new Error(`spawn zone ${index} weight must be positive`);
+    });
+    layout.obstacles = layout.obstacles || [];
+    layout.name = layout.name || layout.id;
+
+    const half = layout.size / 2;
+    layout.slots.forEach(slot => {
+        if (Math.abs(slot.position.x) > half || Math.abs(slot.position.z) > half) {
+            throw new Error(`slot ${slot.id} is outside the garden`);
+        }
+        if (isInsideObstacle(layout, slot.position, 0)) {
+            throw new Error(`slot ${slot.id} is inside an obstacle`);
+        }
+    });
+}
+
+// Obstacles are axis-aligned boxes; margin grows them (e.g. by the player's half size)
+function isInsideObstacle(layout, position, margin) {
+    return layout.obstacles.some(obstacle =>
+        Math.abs(position.x - obstacle.position.x) < obstacle.width / 2 + margin &&
+        Math.abs(position.z - obstacle.position.z) < obstacle.depth / 2 + margin
+    );
+}
+
+// Random point inside the area, retrying a few times to avoid landing in an obstacle
+function randomOpenPosition(room, area, margin) {
+    let position;
+    for (let attempt = 0; attempt < 10; attempt++) {
+        position = {
+            x: area.position.x + (room.random() - 0.5) * area.width,
+            y: 0.5,
+            z: area.position.z + (room.random() - 0.5) * area.depth
+        };
+        if (!isInsideObstacle(room.layout, position, margin)) break;
+    }
+    return position;
+}
+
+// Picks a spawn zone that allows this resource type, weighted by the zone's weight or else
+// its area (so bigger zones get proportionally more spawns). Null if no zone allows the type.
+function randomSpawnPosition(room, type) {
+    const zones = room.layout.spawnZones.filter(zone => !zone.types || zone.types.includes(type));
+    if (zones.length === 0) return null;
+    const weights = zones.map(zone => zone.weight || zone.width * zone.depth);
+    let roll = room.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    const zone = zones.find((_, index) => (roll -= weights[index]) < 0) || zones[0];
+    return clampToReach(room.layout, randomOpenPosition(room, zone, 0.3));
+}
+
+// Zones may run to the garden's edge, but players stop PLAYER_HALF_SIZE short of it; keeps
+// resources where they can be picked up
+function clampToReach(layout, position) {
+    const half = layout.size / 2 - PLAYER_HALF_SIZE;
+    position.x = Math.max(-half, Math.min(half, position.x));
+    position.z = Math.max(-half, Math.min(half, position.z));
+    return position;
+}
+
+// --- Game State (Per Room) ---
+// Each garden room holds its own players, resources, flowers, timer and weather.
+// options: { clock, random } - see Clock & Randomness above.
+function createRoom(code, layout, roundDuration, options = {}) {
+    const room = {
+        code,
+        layout, // The garden layout chosen when the room was created
+        roundDuration, // Seconds per round, chosen when the room was created
+        phase: 'lobby', // 'lobby' | 'countdown' | 'playing' | 'results' - see the Round Lifecycle section
+        phaseSecondsLeft: 0, // For the countdown and results phases
+        players: {}, // { playerId: { id, position, resources: { petals, water } } } - players currently in the garden
+        resources: {}, // { resourceId: { id, type, position, lifetime } } - Use object for easy ID lookup
+        spawnBudget: 0, // Spawns owed at the current weather's spawn rate, see spawnResources()
+        flowers: {}, // { slotId: { slotId, stage, plantedBy, nurtureProgress } }
+        stats: {}, // { playerId: { resourcesCollected, seedsPlanted, nurturesGiven, flowersBloomed } } - this round
+        gameTimer: roundDuration,
+        weather: 'Sunny',
+        weatherSecondsLeft: 0, // Round time until the next weather change
+        weatherForecast: [], // [{ weather, duration }] - what comes after the current weather
+        tickCount: 0, // Ticks since the room was created
+        timerAccumulators: {}, // { name: ms } - game time banked towards each periodic task, see runEvery()
+        inputQueue: [], // Player inputs waiting for the next tick
+        outbox: [], // [eventName, data] pairs for everyone in the garden, sent with the next snapshot
+        playerOutbox: [], // [playerId, eventName, data] for one player only, e.g. their inventory
+        violations: [], // [{ playerId, reason }] - suspicious actions for the server to count, see flagViolation()
+        movedPlayers: new Set(), // Players whose position changed this tick
+        nextResourceId: 0, // Simple way to generate unique IDs
+        clock: options.clock || Date.now, // ms timestamps: move timing and the time of day
+        random: options.random || Math.random // Numbers in [0, 1) for every dice roll in the garden
+    };
+    room.weatherSecondsLeft = randomWeatherDuration(room, room.weather);
+    room.weatherForecast = extendForecast(room, room.weather, []);
+    return room;
+}
+
+// What a client needs to build the garden from scratch, e.g. when joining
+function getGardenState(room) {
+    return {
+        layout: room.layout,
+        species: getSpeciesCatalog(),
+        recipes: RECIPES,
+        players: room.players,
+        resources: Object.values(room.resources), // Send array of resources
+        flowers: room.flowers,
+        timer: room.gameTimer,
+        weather: room.weather,
+        forecast: getWeatherForecast(room),
+        phase: getPhaseState(room),
+        dayCycle: { length: DAY_LENGTH, nightStart: NIGHT_START },
+        serverTime: room.clock() // Clients work out the time of day from this clock
+    };
+}
+
+// --- Players ---
+function createPlayer(room) {
+    return {
+        id: `player_${crypto.randomBytes(4).toString('hex')}`,
+        // Random starting position within bounds, clear of obstacles
+        position: randomOpenPosition(room, {
+            position: { x: 0, z: 0 },
+            width: room.layout.size * 0.8,
+            depth: room.layout.size * 0.8
+        }, PLAYER_HALF_SIZE),
+        resources: { petals: 0, water: 0 }
+    };
+}
+
+// Puts a new or returning player into the garden, wearing the profile they picked on the join
+// screen. A resumed player (same session, new connection) never left, so keeps their look
+// and isn't announced again.
+function addPlayer(room, player, profile, resumed) {
+    if (!resumed) {
+        Object.assign(player, cleanProfile(room, player, profile));
+    }
+    player.lastMoveAt = room.clock(); // When the last accepted move arrived, for speed checks
+    player.moveAllowance = MOVE_DISTANCE_SLACK; // Ground left over after that move, see getMoveAllowance()
+    player.ready = false; // Ready for the next round (only meaningful in the lobby)
+    room.players[player.id] = player;
+
+    if (!resumed) {
+        broadcast(room, 'playerJoined', player); // Clients ignore their own join
+        broadcast(room, 'phaseUpdate', getPhaseState(room)); // One more player to get ready
+    }
+}
+
+// Takes a player out of the garden and returns their record
+function removePlayer(room, playerId) {
+    const player = room.players[playerId];
+    delete room.players[playerId];
+    broadcast(room, 'playerLeft', playerId);
+    checkReadyState(room); // Whoever left may have been the last one not ready
+    return player;
+}
+
+// --- Player Inputs & Actions ---
+// Inputs are queued as they arrive and applied in order on the room's next tick.
+// ack, if given, is called with the actionResult().
+function queueInput(room, playerId, type, data, ack) {
+    room.inputQueue.push({ playerId, type, data, ack, receivedAt: room.clock() });
+}
+
+function processInputs(room) {
+    const inputs = room.inputQueue;
+    room.inputQueue = [];
+    inputs.forEach(({ playerId, type, data, ack, receivedAt }) => {
+        const player = room.players[playerId];
+        if (!player) return; // Left since the input arrived
+        if (room.phase !== 'playing') {
+            // Movement and actions only count while a round is being played
+            if (type === 'playerMove') sendToPlayer(room, playerId, 'positionCorrection', player.position);
+            respond(ack, actionResult('NOT_PLAYING'));
+            return;
+        }
+
+        let result;
+        switch (type) {
+            case 'playerMove':      movePlayer(room, player, data, receivedAt); break;
+            case 'collectResource': result = collectResource(room, player, data); break;
+            case 'plantFlower':     result = plantFlower(room, player, data); break;
+            case 'nurtureFlower':   result = nurtureFlower(room, player, data); break;
+            case 'craftItem':       result = craftItem(room, player, data); break;
+        }
+        if (result) {
+            if (!result.ok) console.log(`Player ${player.id} failed to ${type}: ${result.code}`);
+            respond(ack, result);
+        }
+    });
+}
+
+function movePlayer(room, player, position, receivedAt) {
+    if (!isValidMove(room.layout, player, position, receivedAt)) {
+        // Tell the client where the server thinks it is so it can move back
+        sendToPlayer(room, player.id, 'positionCorrection', player.position);
+        return;
+    }
+
+    player.moveAllowance = getMoveAllowance(player, receivedAt) - distanceBetween(player.position, position);
+    player.position = { x: position.x, y: PLAYER_HEIGHT, z: position.z };
+    player.lastMoveAt = receivedAt;
+    room.movedPlayers.add(player.id); // Sent out in this tick's snapshot
+}
+
+function collectResource(room, player, resourceId) {
+    const resource = Object.prototype.hasOwnProperty.call(room.resources, resourceId) ? room.resources[resourceId] : null;
+
+    if (!resource) return actionResult('RESOURCE_GONE'); // e.g. someone got there first
+
+    // Server-side distance check (prevent cheating)
+    if (distanceBetween(player.position, resource.position) > COLLECT_RANGE) {
+        flagViolation(room, player.id, `too far to collect ${resourceId}`);
+        return actionResult('TOO_FAR'); 
+    }
+
+    console.log(`[${room.code}] Player ${player.id} collected resource ${resourceId}`);
+
+    // Add resource to player inventory
+    const gives = RESOURCE_TYPES[resource.type].gives;
+    for (const item in gives) {
+        player.resources[item] = (player.resources[item] || 0) + gives[item];
+    }
+
+    // Remove resource from world state
+    delete room.resources[resourceId];
+    recordStat(room, player.id, 'resourcesCollected');
+
+    // Notify the collecting player of their updated resources
+    sendToPlayer(room, player.id, 'updatePlayerResources', player.resources);
+
+    // Notify all players in the garden that the resource was removed
+    broadcast(room, 'resourceRemoved', resourceId);
+    return actionResult('OK', `+${describeItems(gives)}`);
+}
+
+function plantFlower(room, player, data) {
+    const slotId = data && data.slotId;
+    const speciesId = (data && data.species) || DEFAULT_SPECIES_ID;
+    const species = Object.prototype.hasOwnProperty.call(FLOWER_SPECIES, speciesId) ? FLOWER_SPECIES[speciesId] : null;
+
+    if (!species) return actionResult('UNKNOWN_SPECIES');
+    const slot = room.layout.slots.find(s => s.id === slotId);
+    if (!slot) return actionResult('UNKNOWN_SLOT');
+    if (room.flowers[slotId]) return actionResult('SLOT_TAKEN', undefined, { slotId });
+    if (!canAfford(player, species.cost)) {
+        return actionResult('NEED_RESOURCES', `Need ${describeItems(species.cost)} for a ${species.name}`, { slotId });
+    }
+    
+    // Server-side distance check to the slot position
+    if (distanceBetween(player.position, slot.position) > PLANT_RANGE) {
+         flagViolation(room, player.id, `too far to plant at ${slotId}`);
+         return actionResult('TOO_FAR', 'Too far from a plot', { slotId });
+    }
+
+    console.log(`[${room.code}] Player ${player.id} planted a ${species.name} seed at ${slotId}`);
+
+    // Deduct the species' planting cost
+    for (const type in species.cost) {
+        player.resources[type] -= species.cost[type];
+    }
+
+    // Create flower state
+    room.flowers[slotId] = {
+        slotId: slotId,
+        species: speciesId,
+        stage: 'seed',
+        plantedBy: player.id, // Track who planted it (for potential scoring or effects)
+        nurtureProgress: 0, // How many times it's been nurtured towards next stage
+        health: MAX_FLOWER_HEALTH, // Hydration; drains over time, see updateFlowerHealth()
+        wilted: false,
+        bloomed: false // Has reached bloom at least once; withering back and regrowing doesn't count again
+    };
+
+    recordStat(room, player.id, 'seedsPlanted');
+
+    // Notify planting player of resource change
+    sendToPlayer(room, player.id, 'updatePlayerResources', player.resources);
+    
+    // Notify all players in the garden about the new flower
+    broadcast(room, 'flowerPlanted', room.flowers[slotId]); 
+    return actionResult('OK', `Planted a ${species.name}`, { slotId });
+}
+
+function nurtureFlower(room, player, data) {
+    const slotId = data && data.slotId;
+    const itemId = (data && data.item) || 'water';
+    const item = Object.prototype.hasOwnProperty.call(NURTURE_ITEMS, itemId) ? NURTURE_ITEMS[itemId] : null;
+    const flower = room.flowers[slotId];
+
+    if (!item) return actionResult('INVALID_REQUEST', `You can't nurture with ${itemId}`);
+    const slot = room.layout.slots.find(s => s.id === slotId);
+    if (!slot) return actionResult('UNKNOWN_SLOT');
+    if (!flower) return actionResult('NO_FLOWER', undefined, { slotId });
+    const fullyGrown = flower.stage === 'bloom';
+    if (fullyGrown && (itemId !== 'water' || flower.health >= MAX_FLOWER_HEALTH)) {
+        return actionResult('FULLY_GROWN', undefined, { slotId }); // Blooms only need water, and only when thirsty
+    }
+    if (!(player.resources[itemId] > 0)) {
+        return actionResult('NEED_RESOURCES', `Need ${describeItem(itemId)}`, { slotId });
+    }
+    
+    // Server-side distance check (similar to planting)
+    if (distanceBetween(player.position, slot.position) > NURTURE_RANGE) {
+         flagViolation(room, player.id, `too far to nurture ${slotId}`);
+         return actionResult('TOO_FAR', 'Too far from a plot', { slotId });
+    }
+
+    console.log(`[${room.code}] Player ${player.id} nurtured flower at ${slotId} with ${itemId}`);
+    
+    // Deduct resource
+    player.resources[itemId]--;
+    
+    // Nurturing always helps the flower's health; blooms only need that
+    flower.health = Math.min(MAX_FLOWER_HEALTH, flower.health + item.health);
+    flower.wilted = flower.health < WILT_THRESHOLD;
+
+    // Apply nurture progress, considering how this species likes the weather and the dark
+    const species = getSpecies(flower);
+    const nightModifier = isNight(room.clock()) ? (species.nightModifier || NIGHT_GROWTH_MODIFIER) : 1.0;
+    const modifier = (species.weatherModifiers[room.weather] || 1.0) * nightModifier;
+    if (!fullyGrown) {
+        flower.nurtureProgress += (item.progress * modifier); // The item's base progress, modified by weather and time of day
+    }
+
+    // Check if flower grows to the next stage
+    let grown = false;
+    const requiredProgress = species.growthTimes[flower.stage];
+    
+    if (flower.nurtureProgress >= requiredProgress) {
+        grown = true;
+        flower.nurtureProgress = 0; // Reset progress for next stage
+        switch (flower.stage) {
+            case 'seed':   flower.stage = 'sprout'; break;
+            case 'sprout': flower.stage = 'budding'; break;
+            case 'budding':flower.stage = 'bloom'; break;
+            // Bloom stage is terminal
+        }
+        console.log(`[${room.code}] Flower ${slotId} grew to stage: ${flower.stage}`);
+        if (flower.stage === 'bloom' && !flower.bloomed) {
+            flower.bloomed = true;
+            recordStat(room, flower.plantedBy, 'flowersBloomed'); // Credit goes to whoever planted it
+        }
+    }
+    recordStat(room, player.id, 'nurturesGiven');
+
+    // Notify nurturing player of resource change
+    sendToPlayer(room, player.id, 'updatePlayerResources', player.resources);
+    
+    // Notify all players in the garden if the flower grew, otherwise of its new health
+    if (grown) {
+         broadcast(room, 'flowerGrown', flower);
+    } else {
+         broadcast(room, 'flowerUpdated', flower);
+    }
+    return actionResult('OK', grown ? `It grew into a ${flower.stage}!` : `Used ${describeItem(itemId)}`, { slotId });
+}
+
+// --- Movement Validation ---
+// The server is authoritative over positions: a move must stay inside the garden, out of
+// obstacles, and can't cover more ground than the player's allowance: PLAYER_SPEED_SERVER for the
+// time since their last accepted move, plus whatever that move left unused.
+function isValidMove(layout, player, position, now) {
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+        return false;
+    }
+
+    const halfGarden = layout.size / 2 - PLAYER_HALF_SIZE;
+    if (Math.abs(position.x) > halfGarden || Math.abs(position.z) > halfGarden) {
+        console.log(`Player ${player.id} tried to leave the garden.`);
+        return false;
+    }
+    if (isInsideObstacle(layout, position, PLAYER_HALF_SIZE)) {
+        console.log(`Player ${player.id} tried to walk through an obstacle.`);
+        return false;
+    }
+
+    if (distanceBetween(player.position, position) > getMoveAllowance(player, now)) {
+        console.log(`Player ${player.id} moved too fast.`);
+        return false;
+    }
+
+    return true;
+}
+
+// The allowance carries over between moves, so the slack is only given once: many small,
+// quick moves add up to no more than PLAYER_SPEED_SERVER (with its tolerance) allows.
+function getMoveAllowance(player, now) {
+    const elapsedSeconds = Math.max(0, now - player.lastMoveAt) / 1000;
+    const earned = PLAYER_SPEED_SERVER * MOVE_SPEED_TOLERANCE * elapsedSeconds;
+    return Math.min(player.moveAllowance + earned, MAX_MOVE_ALLOWANCE);
+}
+
+// --- Flower Species ---
+function getSpecies(flower) {
+    return FLOWER_SPECIES[flower.species] || FLOWER_SPECIES[DEFAULT_SPECIES_ID];
+}
+
+function craftItem(room, player, data) {
+    const recipeId = data && data.recipe;
+    const recipe = Object.prototype.hasOwnProperty.call(RECIPES, recipeId) ? RECIPES[recipeId] : null;
+    if (!recipe) return actionResult('UNKNOWN_RECIPE');
+    if (!canAfford(player, recipe.ingredients)) {
+        return actionResult('NEED_RESOURCES', `Need ${describeItems(recipe.ingredients)} for ${recipe.name}`);
+    }
+
+    for (const type in recipe.ingredients) {
+        player.resources[type] -= recipe.ingredients[type];
+    }
+    player.resources[recipeId] = (player.resources[recipeId] || 0) + 1;
+    console.log(`[${room.code}] Player ${player.id} crafted ${recipe.name}`);
+
+    // Only the crafter's inventory changed
+    sendToPlayer(room, player.id, 'updatePlayerResources', player.resources);
+    return actionResult('OK', `Crafted ${recipe.name}`);
+}
+
+// --- Action Results ---
+// Every player action is answered with { ok, code, message } - plus e.g. the slotId it was
+// aimed at - so clients can react to the code and show the message.
+function actionResult(code, message = ACTION_MESSAGES[code], details = {}) {
+    return { ok: code === 'OK', code, message, ...details };
+}
+
+// Calls the client's acknowledgement callback, if it sent one
+function respond(ack, result) {
+    if (typeof ack === 'function') ack(result);
+}
+
+// Crafted items by their recipe name, petals and water by their inventory key
+function describeItem(type) {
+    return RECIPES[type] ? RECIPES[type].name : type;
+}
+
+// e.g. { petals: 2, water: 1 } -> "2 petals, 1 water"
+function describeItems(items) {
+    return Object.keys(items).map(type => `${items[type]} ${describeItem(type)}`).join(', ');
+}
+
+function canAfford(player, cost) {
+    return Object.keys(cost).every(type => (player.resources[type] || 0) >= cost[type]);
+}
+
+// What clients need to choose and render species (growth rules stay on the server)
+function getSpeciesCatalog() {
+    const catalog = {};
+    for (const id in FLOWER_SPECIES) {
+        const { name, cost, bloom } = FLOWER_SPECIES[id];
+        catalog[id] = { id, name, cost, bloom };
+    }
+    return catalog;
+}
+
+// --- Interaction Range & Abuse Protection ---
+// Distance along the ground; slot positions have no y, and player height doesn't matter for reach.
+function distanceBetween(a, b) {
+    const from = new Vector3(a.x, 0, a.z);
+    const to = new Vector3(b.x, 0, b.z);
+    return from.distanceTo(to);
+}
+
+// Out-of-range actions look like cheating; the server counts these and disconnects repeat offenders
+function flagViolation(room, playerId, reason) {
+    room.violations.push({ playerId, reason });
+}
+
+// --- Simulation ---
+// Each tick applies queued player inputs, then advances timers, spawns, weather and flowers
+// by TICK_INTERVAL of game time.
+function tick(room) {
+    room.tickCount++;
+    processInputs(room);
+    advanceSimulation(room);
+}
+
+function advanceSimulation(room) {
+    switch (room.phase) {
+        case 'countdown':
+            runEvery(room, 'phaseClock', 1000, () => {
+                room.phaseSecondsLeft--;
+                if (room.phaseSecondsLeft <= 0) {
+                    startRound(room);
+                } else {
+                    broadcast(room, 'phaseUpdate', getPhaseState(room));
+                }
+            });
+            return;
+        case 'results':
+            runEvery(room, 'phaseClock', 1000, () => {
+                room.phaseSecondsLeft--;
+                if (room.phaseSecondsLeft <= 0) {
+                    enterLobby(room);
+                } else {
+                    broadcast(room, 'phaseUpdate', getPhaseState(room));
+                }
+            });
+            return;
+        case 'playing':
+            break;
+        default:
+            return; // Lobby: nothing happens until everyone is ready
+    }
+
+    runEvery(room, 'timer', 1000, () => {
+        room.gameTimer--;
+        broadcast(room, 'timerUpdate', room.gameTimer); 
+        if (room.gameTimer <= 0) {
+            endGame(room);
+        }
+    });
+    if (room.gameTimer <= 0) return;
+
+    runEvery(room, 'spawn', RESOURCE_SPAWN_RATE, () => spawnResources(room));
+    runEvery(room, 'resourceLifetime', 1000, () => expireResources(room));
+    runEvery(room, 'weather', 1000, () => advanceWeather(room));
+    runEvery(room, 'flowerHealth', FLOWER_HEALTH_TICK_RATE, () => updateFlowerHealth(room));
+}
+
+// Runs the task once for every full period of game time banked across ticks
+function runEvery(room, name, period, task) {
+    room.timerAccumulators[name] = (room.timerAccumulators[name] || 0) + TICK_INTERVAL;
+    while (room.timerAccumulators[name] >= period) {
+        room.timerAccumulators[name] -= period;
+        task();
+    }
+}
+
+// Queues an event for everyone in the garden; it goes out with the next snapshot
+function broadcast(room, event, data) {
+    room.outbox.push([event, data]);
+}
+
+// Queues an event for one player only, sent just before the next snapshot
+function sendToPlayer(room, playerId, event, data) {
+    room.playerOutbox.push([playerId, event, data]);
+}
+
+function resetGameState(room) {
+     console.log(`[${room.code}] Resetting game state.`);
+    // Keep players, but reset resources, flowers, timer, weather
+    room.resources = {};
+    room.spawnBudget = 0;
+    room.flowers = {};
+    room.gameTimer = room.roundDuration;
+    room.weather = 'Sunny';
+    room.weatherSecondsLeft = randomWeatherDuration(room, room.weather);
+    room.weatherForecast = extendForecast(room, room.weather, []);
+    room.nextResourceId = 0;
+    room.timerAccumulators = {};
+    room.stats = {};
+    // Notify clients about the reset state (except players list)
+     broadcast(room, 'gameStateReset', { 
+        resources: [], 
+        flowers: {}, 
+        timer: room.gameTimer, 
+        weather: room.weather,
+        forecast: getWeatherForecast(room)
+    });
+    // Clients should handle 'gameStateReset' to clear their local copies
+}
+
+function endGame(room) {
+    console.log(`[${room.code}] Game Over!`);
+    // Calculate final results if needed (e.g., total flowers bloomed)
+    let finalMessage = "Time's up! Look at the beautiful garden you grew together!";
+    let fullyBloomed = 0;
+    for(const id in room.flowers) {
+        if (room.flowers[id].stage === 'bloom') {
+            fullyBloomed++;
+        }
+    }
+    finalMessage += ` You bloomed ${fullyBloomed} flowers!`;
+    
+    broadcast(room, 'gameOver', { message: finalMessage, summary: buildRoundSummary(room, fullyBloomed) }); 
+    // Show the results for a while, then everyone goes back to the lobby to play again
+    setPhase(room, 'results', RESULTS_SECONDS);
+}
+
+// --- Round Lifecycle ---
+// lobby -> (everyone ready) countdown -> playing -> (timer runs out) results -> lobby.
+// Movement and actions are only accepted while playing.
+function setPhase(room, phase, secondsLeft) {
+    room.phase = phase;
+    room.phaseSecondsLeft = secondsLeft;
+    room.timerAccumulators.phaseClock = 0; // Count whole seconds from now
+    console.log(`[${room.code}] Phase: ${phase}`);
+    broadcast(room, 'phaseUpdate', getPhaseState(room));
+}
+
+function getPhaseState(room) {
+    return {
+        phase: room.phase,
+        secondsLeft: room.phaseSecondsLeft,
+        roundDuration: room.roundDuration,
+        readyPlayers: Object.keys(room.players).filter(playerId => room.players[playerId].ready)
+    };
+}
+
+function setPlayerReady(room, player, ready) {
+    if (room.phase !== 'lobby' && room.phase !== 'countdown') return;
+    player.ready = ready;
+    checkReadyState(room);
+}
+
+// Starts the countdown once everyone in the lobby is ready, and cancels it if someone backs out
+function checkReadyState(room) {
+    if (room.phase !== 'lobby' && room.phase !== 'countdown') return;
+    const players = Object.values(room.players);
+    const allReady = players.length > 0 && players.every(player => player.ready);
+
+    if (room.phase === 'lobby' && allReady) {
+        setPhase(room, 'countdown', COUNTDOWN_SECONDS);
+    } else if (room.phase === 'countdown' && !allReady) {
+        setPhase(room, 'lobby', 0);
+    } else {
+        broadcast(room, 'phaseUpdate', getPhaseState(room));
+    }
+}
+
+function startRound(room) {
+    resetGameState(room); // Fresh garden for every round
+    for (const playerId in room.players) {
+        room.players[playerId].ready = false;
+    }
+    setPhase(room, 'playing', 0);
+}
+
+function enterLobby(room) {
+    for (const playerId in room.players) {
+        room.players[playerId].ready = false;
+    }
+    setPhase(room, 'lobby', 0);
+}
+
+// --- Chat & Player Profiles ---
+function postChatMessage(room, playerId, text) {
+    const cleaned = cleanText(text, MAX_CHAT_LENGTH);
+    if (room.players[playerId] && cleaned) {
+        broadcast(room, 'chatMessage', { playerId, text: cleaned });
+    }
+}
+
+function sendEmote(room, playerId, emote) {
+    if (room.players[playerId] && EMOTES.includes(emote)) {
+        broadcast(room, 'emote', { playerId, emote });
+    }
+}
+
+// Returns the text to show everyone (chat messages, display names), or null if there is nothing worth showing
+function cleanText(text, maxLength) {
+    if (typeof text !== 'string') return null;
+    const cleaned = text
+        .replace(/[\u0000-\u001F\u007F]/g, '') // No control characters (newlines included)
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .replace(PROFANITY_PATTERN, word => '*'.repeat(word.length));
+    return cleaned || null;
+}
+
+// Display name, colour and avatar style picked on the join screen; anything missing or
+// invalid falls back to what the player had before, or a default
+function cleanProfile(room, player, profile) {
+    const requested = profile || {};
+    const takenColors = Object.values(room.players)
+        .filter(other => other.id !== player.id)
+        .map(other => other.color);
+    const freeColor = PLAYER_COLORS.find(color => !takenColors.includes(color)) || PLAYER_COLORS[0];
+    return {
+        name: cleanText(requested.name, MAX_NAME_LENGTH) || player.name || `Gardener ${player.id.slice(-4)}`,
+        color: PLAYER_COLORS.includes(requested.color) ? requested.color : (player.color || freeColor),
+        avatar: AVATAR_STYLES.includes(requested.avatar) ? requested.avatar : (player.avatar || AVATAR_STYLES[0])
+    };
+}
+
+// --- Round Stats ---
+function recordStat(room, playerId, stat) {
+    if (!room.stats[playerId]) {
+        room.stats[playerId] = { resourcesCollected: 0, seedsPlanted: 0, nurturesGiven: 0, flowersBloomed: 0 };
+    }
+    room.stats[playerId][stat]++;
+}
+
+// Per-player breakdown (including players who already left) plus who led each stat
+function buildRoundSummary(room, bloomsInGarden) {
+    const players = Object.keys(room.stats).map(playerId => {
+        const stats = room.stats[playerId];
+        let score = 0;
+        for (const stat in SCORE_WEIGHTS) {
+            score += stats[stat] * SCORE_WEIGHTS[stat];
+        }
+        return { id: playerId, ...stats, score };
+    }).sort((a, b) => b.score - a.score);
+
+    const highlights = [];
+    HIGHLIGHTS.forEach(({ stat, title }) => {
+        const leader = players.reduce((best, p) => (!best || p[stat] > best[stat] ? p : best), null);
+        if (leader && leader[stat] > 0) {
+            highlights.push({ title, stat, playerId: leader.id, value: leader[stat] });
+        }
+    });
+
+    return { bloomsInGarden, players, highlights };
+}
+
+// --- Resource Spawning ---
+// Runs every RESOURCE_SPAWN_RATE; rainy weather makes for more spawns, cloudy for fewer
+function spawnResources(room) {
+    room.spawnBudget += WEATHER_SPAWN_RATES[room.weather] || 1;
+    while (room.spawnBudget >= 1) {
+        room.spawnBudget--;
+        spawnResourceGroup(room);
+    }
+}
+
+// Spawns one resource, or sometimes a cluster of the same type close together
+function spawnResourceGroup(room) {
+    const type = pickResourceType(room);
+    if (!type) return;
+    const position = randomSpawnPosition(room, type);
+    if (!position) return; // No zone in this layout allows the type
+
+    const { cluster } = RESOURCE_TYPES[type];
+    if (!cluster || room.random() >= cluster.chance) {
+        spawnResource(room, type, position);
+        return;
+    }
+    const [minSize, maxSize] = cluster.size;
+    const size = minSize + Math.floor(room.random() * (maxSize - minSize + 1));
+    const area = { position, width: cluster.radius * 2, depth: cluster.radius * 2 };
+    for (let i = 0; i < size; i++) {
+        const spot = clampToReach(room.layout, randomOpenPosition(room, area, 0.3)); // Clusters near the edge too
+        spawnResource(room, type, spot);
+    }
+}
+
+function pickResourceType(room) {
+    const night = isNight(room.clock());
+    const weights = {};
+    let total = 0;
+    for (const type in RESOURCE_TYPES) {
+        const rules = RESOURCE_TYPES[type];
+        const weatherWeight = (rules.weatherWeights && rules.weatherWeights[room.weather]) || 1;
+        weights[type] = (night ? rules.nightWeight : rules.dayWeight) * weatherWeight;
+        total += weights[type];
+    }
+    let roll = room.random() * total;
+    return Object.keys(weights).find(type => weights[type] > 0 && (roll -= weights[type]) < 0) || null;
+}
+
+function spawnResource(room, type, position) {
+    if (Object.keys(room.resources).length >= MAX_RESOURCES) {
+        return; // Don't spawn if max capacity reached
+    }
+    
+    const resourceId = `res_${room.nextResourceId++}`;
+    const newResource = { id: resourceId, type, position, lifetime: RESOURCE_TYPES[type].lifetime }; // Seconds left
+    room.resources[resourceId] = newResource;
+
+    console.log(`[${room.code}] Spawning resource: ${type} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+    
+    // Broadcast the new resource to all clients in the garden
+    broadcast(room, 'resourceSpawned', newResource);
+}
+
+// Counts down every resource's lifetime and removes the ones nobody picked up in time
+function expireResources(room) {
+    for (const resourceId in room.resources) {
+        const resource = room.resources[resourceId];
+        resource.lifetime--;
+        if (resource.lifetime <= 0) {
+            delete room.resources[resourceId];
+            broadcast(room, 'resourceDespawned', resourceId);
+        }
+    }
+}
+
+// Drains (or, in the rain, refills) every flower's health. Wilted flowers lose nurture
+// progress, then drop back a stage, and die when their health runs out - freeing the slot.
+function updateFlowerHealth(room) {
+    const weatherDrain = FLOWER_HEALTH_DRAIN[room.weather] || 0;
+    const drain = weatherDrain > 0 && isNight(room.clock()) ? weatherDrain * NIGHT_HEALTH_DRAIN_MODIFIER : weatherDrain;
+
+    for (const slotId in room.flowers) {
+        const flower = room.flowers[slotId];
+        const previousHealth = flower.health;
+        flower.health = Math.max(0, Math.min(MAX_FLOWER_HEALTH, flower.health - drain));
+
+        if (flower.health <= 0) {
+            console.log(`[${room.code}] Flower ${slotId} died of neglect.`);
+            delete room.flowers[slotId];
+            broadcast(room, 'flowerDied', slotId);
+            continue;
+        }
+
+        const previousStage = flower.stage;
+        flower.wilted = flower.health < WILT_THRESHOLD;
+        if (flower.wilted) {
+            if (flower.nurtureProgress > 0) {
+                flower.nurtureProgress = Math.max(0, flower.nurtureProgress - WILT_PROGRESS_LOSS);
+            } else if (flower.health < STAGE_DROP_THRESHOLD && flower.stage !== 'seed') {
+                // Shrink back a stage, keeping half the progress needed to regrow
+                flower.stage = STAGE_ORDER[STAGE_ORDER.indexOf(flower.stage) - 1];
+                flower.nurtureProgress = getSpecies(flower).growthTimes[flower.stage] / 2;
+                console.log(`[${room.code}] Flower ${slotId} withered back to stage: ${flower.stage}`);
+            }
+        }
+
+        if (flower.health !== previousHealth || flower.stage !== previousStage) {
+            broadcast(room, 'flowerUpdated', flower);
+        }
+    }
+}
+
+// --- Weather ---
+// Each weather lasts a random while, then the next one from the forecast takes over.
+// The forecast is decided ahead of time, so what players are told is what they get.
+function advanceWeather(room) {
+    room.weatherSecondsLeft--;
+    if (room.weatherSecondsLeft <= 0) {
+        changeWeather(room);
+    }
+}
+
+function changeWeather(room) {
+    const next = room.weatherForecast.shift();
+    room.weather = next.weather;
+    room.weatherSecondsLeft = next.duration;
+    room.weatherForecast = extendForecast(room, room.weather, room.weatherForecast);
+
+    console.log(`[${room.code}] Weather changed to: ${room.weather} for ${next.duration}s`);
+
+    // Broadcast the weather update
+    broadcast(room, 'weatherUpdate', room.weather);
+    broadcast(room, 'weatherForecast', getWeatherForecast(room));
+}
+
+// Switches to the given weather straight away, e.g. for an event run by an admin.
+// The forecast is redrawn to follow on from it.
+function forceWeather(room, weather, duration = randomWeatherDuration(room, weather)) {
+    room.weather = weather;
+    room.weatherSecondsLeft = duration;
+    room.weatherForecast = extendForecast(room, weather, []);
+
+    console.log(`[${room.code}] Weather forced to: ${weather} for ${duration}s`);
+
+    broadcast(room, 'weatherUpdate', room.weather);
+    broadcast(room, 'weatherForecast', getWeatherForecast(room));
+}
+
+// Tops the forecast up to FORECAST_LENGTH entries, following on from its last entry
+function extendForecast(room, currentWeather, forecast) {
+    const extended = forecast.slice();
+    while (extended.length < FORECAST_LENGTH) {
+        const previous = extended.length ? extended[extended.length - 1].weather : currentWeather;
+        const weather = pickNextWeather(room, previous);
+        extended.push({ weather, duration: randomWeatherDuration(room, weather) });
+    }
+    return extended;
+}
+
+function pickNextWeather(room, previousWeather) {
+    const odds = WEATHER_TRANSITIONS[previousWeather] || WEATHER_TRANSITIONS['Sunny'];
+    const total = Object.values(odds).reduce((sum, weight) => sum + weight, 0);
+    let roll = room.random() * total;
+    for (const weather in odds) {
+        roll -= odds[weather];
+        if (roll < 0) return weather;
+    }
+    return Object.keys(odds)[0];
+}
+
+function randomWeatherDuration(room, weather) {
+    const [min, max] = WEATHER_DURATIONS[weather];
+    return min + Math.floor(room.random() * (max - min + 1));
+}
+
+function getWeatherForecast(room) {
+    return { weather: room.weather, secondsLeft: room.weatherSecondsLeft, upcoming: room.weatherForecast };
+}
+
+// --- Day & Night ---
+// Time of day follows the server's clock rather than the round, so every garden and
+// every client agrees on it. A day starts at sunrise; night falls at NIGHT_START.
+function getDayProgress(now) {
+    return (now % DAY_LENGTH) / DAY_LENGTH;
+}
+
+function isNight(now) {
+    return getDayProgress(now) >= NIGHT_START;
+}
+
+// --- Persistence ---
+// The game state worth keeping between server restarts; players are saved separately (see toSavedPlayer())
+function serializeRoom(room) {
+    return {
+        code: room.code,
+        layoutId: room.layout.id,
+        roundDuration: room.roundDuration,
+        phase: room.phase === 'playing' ? 'playing' : 'lobby', // Countdowns and results don't survive a restart
+        resources: room.resources,
+        flowers: room.flowers,
+        gameTimer: room.gameTimer,
+        weather: room.weather,
+        weatherSecondsLeft: room.weatherSecondsLeft,
+        weatherForecast: room.weatherForecast,
+        nextResourceId: room.nextResourceId,
+        stats: room.stats
+    };
+}
+
+// Only what's worth keeping between sessions; transient fields are rebuilt on rejoin
+function toSavedPlayer(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        color: player.color,
+        avatar: player.avatar,
+        position: player.position,
+        resources: player.resources
+    };
+}
+
+function deserializeRoom(data, layout, options) {
+    const room = createRoom(data.code, layout, data.roundDuration || ROUND_DURATION, options);
+    room.phase = data.phase || (data.gameTimer > 0 ? 'playing' : 'lobby'); // Saves from before rounds had phases
+    room.resources = data.resources || {};
+    for (const resourceId in room.resources) {
+        // Resources saved before lifetimes (or types) existed
+        const resource = room.resources[resourceId];
+        if (!RESOURCE_TYPES[resource.type]) resource.type = 'petal';
+        if (resource.lifetime === undefined) resource.lifetime = RESOURCE_TYPES[resource.type].lifetime;
+    }
+    room.flowers = data.flowers || {};
+    for (const slotId in room.flowers) {
+        // Flowers saved before health existed start out healthy
+        const flower = room.flowers[slotId];
+        if (flower.health === undefined) flower.health = MAX_FLOWER_HEALTH;
+        if (flower.bloomed === undefined) flower.bloomed = flower.stage === 'bloom';
+        flower.wilted = flower.health < WILT_THRESHOLD;
+    }
+    room.gameTimer = data.gameTimer;
+    room.weather = WEATHER_TYPES.includes(data.weather) ? data.weather : 'Sunny';
+    if (data.weatherForecast) {
+        room.weatherSecondsLeft = data.weatherSecondsLeft;
+        room.weatherForecast = data.weatherForecast;
+    } else {
+        room.weatherSecondsLeft = randomWeatherDuration(room, room.weather); // Saved before forecasts existed
+        room.weatherForecast = extendForecast(room, room.weather, []);
+    }
+    room.nextResourceId = data.nextResourceId || 0;
+    room.stats = data.stats || {};
+    return room;
+}
+
+module.exports = {
+    // Constants the server and tests need
+    TICK_INTERVAL,
+    ROUND_DURATION,
+    MIN_ROUND_DURATION,
+    MAX_ROUND_DURATION,
+    COUNTDOWN_SECONDS,
+    RESOURCE_SPAWN_RATE,
+    MAX_RESOURCES,
+    RESOURCE_TYPES,
+    WEATHER_TYPES,
+    DAY_LENGTH,
+    NIGHT_GROWTH_MODIFIER,
+    FLOWER_SPECIES,
+    NURTURE_ITEMS,
+    STAGE_ORDER,
+    PLAYER_COLORS,
+    AVATAR_STYLES,
+    MAX_NAME_LENGTH,
+    // Rooms and players
+    createRandom,
+    validateLayout,
+    createRoom,
+    getGardenState,
+    createPlayer,
+    addPlayer,
+    removePlayer,
+    // Inputs and the simulation
+    queueInput,
+    tick,
+    broadcast,
+    sendToPlayer,
+    actionResult,
+    setPlayerReady,
+    startRound,
+    endGame,
+    resetGameState,
+    spawnResources,
+    spawnResource,
+    randomSpawnPosition,
+    changeWeather,
+    forceWeather,
+    getWeatherForecast,
+    postChatMessage,
+    sendEmote,
+    // Persistence
+    serializeRoom,
+    deserializeRoom,
+    toSavedPlayer
+};
@@ -0,0 +1,102 @@
+// metrics.js - Counters, gauges and histograms rendered in the Prometheus text format for the
+// server's /metrics endpoint. No client library or outside service: a local Prometheus scrapes
+// the server directly.
+
+// --- Registry ---
+const registry = []; // Every metric, in the order they're rendered
+
+// A count that only goes up, optionally split by labels, e.g. events received per type
+function createCounter(name, help, labelNames = []) {
+    const values = new Map(); // { labelKey: { labels, value } }
+    registry.push({ name, help, type: 'counter', samples: () => Array.from(values.values()) });
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelNames.map(label => labels[label]).join('\u0000');
+            const entry = values.get(key) || { labels: pickLabels(labels, labelNames), value: 0 };
+            entry.value += amount;
+            values.set(key, entry);
+        }
+    };
+}
+
+// A value read when scraped. collect() returns a number, or [{ labels, value }] to split it by labels.
+function createGauge(name, help, collect) {
+    registry.push({
+        name,
+        help,
+        type: 'gauge',
+        samples: () => {
+            const result = collect();
+            return typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+        }
+    });
+}
+
+// Counts observations into cumulative buckets (upper bounds, in ascending order), e.g. tick durations
+function createHistogram(name, help, buckets) {
+    const counts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+    registry.push({
+        name,
+        help,
+        type: 'histogram',
+        samples: () => [
+            ...buckets.map((bound, i) => ({ suffix: '_bucket', labels: { le: formatValue(bound) }, value: counts[i] })),
+            { suffix: '_bucket', labels: { le: '+Inf' }, value: count },
+            { suffix: '_sum', labels: {}, value: sum },
+            { suffix: '_count', labels: {}, value: count }
+        ]
+    });
+    return {
+        observe(value) {
+            buckets.forEach((bound, i) => {
+                if (value <= bound) counts[i]++;
+            });
+            sum += value;
+            count++;
+        }
+    };
+}
+
+// --- Rendering ---
+function renderMetrics() {
+    const lines = [];
+    registry.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        metric.samples().forEach(({ suffix = '', labels, value }) => {
+            lines.push(`${metric.name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).map(label => {
+        const value = String(labels[label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${label}="${value}"`;
+    });
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value); // NaN stays NaN, which Prometheus accepts
+}
+
+function pickLabels(labels, labelNames) {
+    const picked = {};
+    labelNames.forEach(label => {
+        picked[label] = labels[label] === undefined ? '' : labels[label];
+    });
+    return picked;
+}
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics
+};
@@ -4,40 +4,163 @@ import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/thr
 // --- Global Variables ---
 let scene, camera, renderer;
 let playerMesh, playerLight; // Our player's representation and a light source following them
-let otherPlayers = {}; // Store meshes of other players { socketId: mesh }
+let ambientLight, directionalLight;
+let weatherLook = null; // Current sky, fog, light and particle levels, eased towards targetWeatherLook
+let targetWeatherLook = null;
+let rainDrops, rainVelocity; // Rain particle system and its per-drop fall speed
+let cloudGroup, cloudMaterial; // Clouds drifting along the horizon
+let lightningFlash = 0; // 1 right after a lightning strike, fading to 0
+let slotHighlights = []; // Rings flashing on plots that an action was aimed at: [{ mesh, startedAt }]
+let otherPlayers = {}; // Store meshes of other players { playerId: mesh }
+let playerProfiles = {}; // Names and looks of everyone we've seen this session { playerId: { name, color, avatar } }
+let remotePositionBuffers = {}; // Recent server positions of other players { playerId: [{ t, x, z }] }, oldest first
+let serverTimeOffset = null; // Estimated server clock minus our clock (ms), from snapshot timestamps
+let lastMoveSentAt = 0; // When we last sent our position (performance.now())
+let positionDirty = false; // We've moved since the last position we sent
 let resourcesOnScreen = {}; // Store meshes of resources { resourceId: mesh }
+let pendingCollections = new Map(); // { resourceId: time requested } - so we don't ask the server every frame
+let pendingActions = new Map(); // { requestId: callback } for actions waiting on their actionResult
+let nextRequestId = 1;
 let flowersOnScreen = {}; // Store meshes of flowers { slotId: mesh }
-let gardenGrid, gardenPlane;
+let gardenGroup, gardenGrid, gardenPlane; // gardenGroup holds everything built from the current layout
 let keys = {}; // Keep track of currently pressed keys
 let clock = new THREE.Clock();
 let socket;
 let myPlayerId;
+let correctionTarget = null; // Position the server told us to return to, eased towards in animate()
+let activeEmotes = []; // Emote sprites floating above players: [{ sprite, mesh, startedAt }]
+let emoteTextures = {}; // One texture per emote, drawn the first time it's shown
+let replay = null; // Recorded round being watched: { header, frames, index, time, playing, speed } - see the Replay section
+let spectating = false; // Watching a live garden without a gardener of our own
+let orbitCamera = null; // { target, yaw, pitch, distance, dragging, lastX, lastY } while watching - see the Orbit Camera section
 
 // --- DOM Elements ---
 const gameContainer = document.getElementById('game-container');
 const timerDisplay = document.getElementById('timer');
+const phaseDisplay = document.getElementById('phase');
+const readyButton = document.getElementById('ready-btn');
 const resourcesDisplay = document.getElementById('resources');
 const weatherDisplay = document.getElementById('weather');
+const timeOfDayDisplay = document.getElementById('time-of-day');
+const speciesDisplay = document.getElementById('species');
+const craftingPanel = document.getElementById('crafting');
+const toastContainer = document.getElementById('toasts');
 const messageDisplay = document.getElementById('message');
+const roomCodeDisplay = document.getElementById('room-code');
+const joinScreen = document.getElementById('join-screen');
+const roomCodeInput = document.getElementById('room-code-input');
+const createRoomButton = document.getElementById('create-room-btn');
+const joinRoomButton = document.getElementById('join-room-btn');
+const spectateRoomButton = document.getElementById('spectate-room-btn');
+const spectatorsDisplay = document.getElementById('spectators');
+const joinErrorDisplay = document.getElementById('join-error');
+const layoutSelect = document.getElementById('layout-select');
+const roundLengthSelect = document.getElementById('round-length-select');
+const nameInput = document.getElementById('name-input');
+const colorSelect = document.getElementById('color-select');
+const avatarSelect = document.getElementById('avatar-select');
+const resultsScreen = document.getElementById('results-screen');
+const resultsMessage = document.getElementById('results-message');
+const resultsHighlights = document.getElementById('results-highlights');
+const resultsTableBody = document.querySelector('#results-table tbody');
+const resultsCloseButton = document.getElementById('results-close-btn');
+const chatLog = document.getElementById('chat-log');
+const chatInput = document.getElementById('chat-input');
+const emoteButtons = document.querySelectorAll('#emote-buttons button');
+const replayFileInput = document.getElementById('replay-file');
+const replayControls = document.getElementById('replay-controls');
+const replayPlayButton = document.getElementById('replay-play-btn');
+const replaySeek = document.getElementById('replay-seek');
+const replayTimeDisplay = document.getElementById('replay-time');
+const replaySpeedSelect = document.getElementById('replay-speed');
+const replayExitButton = document.getElementById('replay-exit-btn');
 
 // --- Game State (Client Side) ---
 let clientState = {
+    roomCode: null, // Code of the garden we're in, shared with friends so they can join
+    spectators: 0, // People watching the garden without playing
     resources: { petals: 0, water: 0 },
     weather: 'Sunny',
+    forecast: null, // { weather, secondsLeft, upcoming: [{ weather, duration }] } - from the server
+    dayCycle: null, // { length, nightStart } - the server's day, see getTimeOfDay()
     timer: 1800,
-    flowers: {}, // { slotId: { stage, plantedBy } } - mirrors server state
-    flowerSlots: [] // Define positions for flowers
+    phase: { phase: 'lobby', secondsLeft: 0, roundDuration: 1800, readyPlayers: [] }, // Round lifecycle from the server
+    flowers: {}, // { slotId: { species, stage, plantedBy } } - mirrors server state
+    species: {}, // { speciesId: { id, name, cost, bloom } } - catalog from the server
+    recipes: {}, // { itemId: { name, ingredients } } - crafting recipes from the server
+    selectedSpecies: null, // Species we plant next; switch with the number keys
+    layout: null, // Garden layout from the server: { size, slots, spawnZones, obstacles }
+    flowerSlots: [] // Slot positions for flowers, from the layout
 };
 
 // --- Constants ---
 const PLAYER_SPEED = 5.0;
-const GARDEN_SIZE = 20;
-const GRID_DIVISIONS = 20;
-const FLOWER_SLOT_POSITIONS = [ // Example positions relative to garden center
-    { x: -5, z: -5 }, { x: 0, z: -5 }, { x: 5, z: -5 },
-    { x: -5, z: 0 },  { x: 0, z: 0 },  { x: 5, z: 0 },
-    { x: -5, z: 5 },  { x: 0, z: 5 },  { x: 5, z: 5 },
-];
+const PLAYER_HALF_SIZE = 0.5; // Players are unit cubes
+const COLLECT_RETRY_MS = 1000; // Ask again if the server hasn't answered a collection request by then
+const MOVE_SEND_INTERVAL = 50; // ms between position updates we send (20 per second)
+const MAX_FRAME_DELTA = 0.1; // Seconds; caps movement after the tab was in the background
+const INTERPOLATION_DELAY = 150; // ms we render other players behind the server, to have samples either side
+const ORBIT_PAN_SPEED = 10; // Units per second the orbit camera's target moves
+const ORBIT_ROTATE_SPEED = 0.005; // Radians per pixel dragged
+const ORBIT_MIN_DISTANCE = 4;
+const ORBIT_MIN_PITCH = 0.15; // Radians above the ground - never underneath it...
+const ORBIT_MAX_PITCH = 1.45; // ...nor quite straight down
+const MAX_INTERPOLATION_GAP = 1000; // ms; samples further apart than this (packet loss, backgrounded tab) snap instead of gliding
+const MAX_BUFFERED_POSITIONS = 30;
+const TURN_RATE = 10.0; // How quickly other players turn to face where they're going (per second)
+const CORRECTION_SNAP_DISTANCE = 3.0; // Corrections further than this snap instead of easing
+const CORRECTION_EASE_RATE = 15.0; // How quickly we ease back to a corrected position (per second)
+const MAX_FLOWER_HEALTH = 100; // Matches the server
+const WILTED_COLOR = 0x8B7D6B; // Dry brownish grey that wilted flowers fade towards
+const MAX_CHAT_LINES = 50; // Older chat lines are dropped from the panel
+const EMOTE_DURATION = 2000; // ms an emote floats above a player
+const EMOTE_HEIGHT = 1.5; // Where emotes start, above the name tag
+const EMOTE_RISE = 1.0; // How far an emote floats up over its lifetime
+const NAME_TAG_HEIGHT = 0.95; // Just above the avatar
+const PROFILE_STORAGE_KEY = 'pixelPetals.profile'; // Name and look picked on the join screen
+const AVATAR_LABELS = { cube: 'Cube', ball: 'Ball', cone: 'Cone', barrel: 'Barrel' };
+const EMOTE_LABELS = {
+    heart: '\u2764\uFE0F',
+    waterHere: '\uD83D\uDCA7 Water here!',
+    wave: '\uD83D\uDC4B',
+    cheer: '\uD83C\uDF89'
+};
+const WEATHER_LOOKS = { // What each weather looks like; the scene eases between these
+    Sunny: { sky: 0x87CEEB, fogNear: 40, fogFar: 120, ambient: 0.6, sun: 0.8, rain: 0, clouds: 0.2, wind: 0 },
+    Cloudy: { sky: 0xB0C4DE, fogNear: 20, fogFar: 60, ambient: 0.5, sun: 0.4, rain: 0, clouds: 0.7, wind: 1 },
+    Rainy: { sky: 0x778899, fogNear: 10, fogFar: 40, ambient: 0.45, sun: 0.25, rain: 0.6, clouds: 0.9, wind: 1 },
+    Stormy: { sky: 0x3E4A59, fogNear: 8, fogFar: 32, ambient: 0.35, sun: 0.15, rain: 1, clouds: 1, wind: 6 }
+};
+const WEATHER_TRANSITION_RATE = 0.4; // How quickly the scene eases towards new weather (per second)
+const RAIN_DROP_COUNT = 1500; // At full rain
+const RAIN_AREA = 40; // Width and depth of the box rain falls in, around the garden
+const RAIN_HEIGHT = 20;
+const RAIN_DROP_LENGTH = 0.6;
+const CLOUD_COUNT = 12;
+const LIGHTNING_CHANCE = 0.15; // Strikes per second in a full storm
+const NIGHT_SKY = new THREE.Color(0x0B1026);
+const DUSK_SKY = new THREE.Color(0xFF8C5A);
+const SUN_COLOR = new THREE.Color(0xffffff);
+const MOON_COLOR = new THREE.Color(0x8899CC);
+const NIGHT_AMBIENT = 0.35; // Share of the weather's ambient light left at midnight
+const SUN_ORBIT_RADIUS = 20; // How far from the garden centre the sun and moon travel
+const RESOURCE_LOOKS = { // Resource orbs by type; rare ones are bigger and shinier
+    petal: { color: 0xFFC0CB, size: 0.2 }, // Pink
+    water: { color: 0xADD8E6, size: 0.2 }, // Light blue
+    goldenPetal: { color: 0xFFD700, size: 0.3 }, // Gold
+    moonDew: { color: 0xE0F0FF, size: 0.3 } // Pale moonlight
+};
+const RESOURCE_BLINK_TIME = 5000; // ms before despawning when a resource starts blinking
+const TOAST_DURATION = 2500; // ms an action result stays on screen
+const MAX_TOASTS = 4; // Older toasts make way for new ones
+const SLOT_HIGHLIGHT_DURATION = 1000; // ms a plot stays highlighted after an action on it
+const ACTION_RANGE_SQ = 2.0 * 2.0; // How close we need to be to a plot to plant or nurture (squared)
+const RECORDING_FORMAT = 'pixel-petals-recording'; // First line of a recording file, see the server's startRecording()
+const OBSTACLE_COLORS = {
+    hedge: 0x2E6B30, // Dark green
+    rock: 0x808080, // Grey
+    pond: 0x3A7BD5 // Water blue
+};
 
 
 // --- Initialization ---
@@ -57,21 +180,17 @@ function init() {
     gameContainer.appendChild(renderer.domElement);
 
     // 4. Lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6); // Soft white light
+    ambientLight = new THREE.AmbientLight(0xffffff, 0.6); // Soft white light
     scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
     directionalLight.position.set(5, 10, 7);
     scene.add(directionalLight);
 
     // --- Create Game Elements ---
+    // (The garden itself is built from the server's layout once we join a room)
 
-    // Garden Grid & Plane
-    createGarden();
-
-    // Player Mesh (Placeholder Cube)
-    const playerGeometry = new THREE.BoxGeometry(1, 1, 1);
-    const playerMaterial = new THREE.MeshStandardMaterial({ color: 0x00ff00 }); // Green cube
-    playerMesh = new THREE.Mesh(playerGeometry, playerMaterial);
+    // Player Avatar (its model and name tag are added once we know our profile)
+    playerMesh = new THREE.Group();
     playerMesh.position.set(0, 0.5, 0); // Start slightly above the ground
     scene.add(playerMesh);
     
@@ -80,17 +199,26 @@ function init() {
     playerLight.position.set(0, 2, 0); // Position relative to player mesh origin
     playerMesh.add(playerLight); // Attach light to player mesh
 
-
-    // Initialize Flower Slots visually (optional placeholders)
-    initFlowerSlots();
+    // Weather particles (hidden until the weather calls for them)
+    createRain();
+    createClouds();
+    updateWeatherEffects(clientState.weather, true);
 
     // --- Event Listeners ---
     window.addEventListener('resize', onWindowResize, false);
     document.addEventListener('keydown', onKeyDown, false);
     document.addEventListener('keyup', onKeyUp, false);
 
+    resultsCloseButton.addEventListener('click', () => resultsScreen.classList.add('hidden'));
+    readyButton.addEventListener('click', toggleReady);
+    setupChat();
+    setupReplay();
+    setupOrbitCamera();
+    setInterval(updateClockDisplay, 1000); // The clock keeps going between rounds
+
     // --- Connect to Server ---
     setupSocketIO();
+    setupJoinScreen();
 
     // --- Start Animation Loop ---
     animate();
@@ -103,43 +231,75 @@ function setupSocketIO() {
 
     socket.on('connect', () => {
         console.log('Connected to server!', socket.id);
+        // Socket.IO reconnects on its own after a drop; resume our session in the same garden
+        if (clientState.roomCode && spectating) {
+            socket.emit('spectateRoom', { code: clientState.roomCode });
+        } else if (clientState.roomCode) {
+            console.log('Resuming session in garden', clientState.roomCode);
+            socket.emit('joinRoom', {
+                code: clientState.roomCode,
+                sessionToken: sessionStorage.getItem(sessionStorageKey(clientState.roomCode)),
+                profile: loadProfile()
+            });
+        }
     });
 
-    socket.on('disconnect', () => {
-        console.log('Disconnected from server!');
-        messageDisplay.textContent = 'Disconnected. Please refresh.';
-        // Handle disconnection state in UI/game
+    socket.on('disconnect', (reason) => {
+        console.log('Disconnected from server!', reason);
+        keys = {}; // Stop movement until we're back
+        pendingActions.clear(); // Their results were lost with the connection
+        if (reason === 'io server disconnect') {
+            // The server closed the connection on purpose, so Socket.IO won't reconnect
+            messageDisplay.textContent = messageDisplay.textContent || 'Disconnected. Please refresh.';
+        } else {
+            messageDisplay.textContent = 'Connection lost. Reconnecting...';
+        }
     });
 
-    socket.on('initialState', (state) => {
-        console.log('Received initial state:', state);
-        myPlayerId = state.playerId;
-        clientState.timer = state.timer;
-        clientState.weather = state.weather;
-        clientState.flowers = state.flowers || {}; // Ensure flowers object exists
+    socket.on('actionResult', ({ requestId, ...result }) => {
+        const callback = pendingActions.get(requestId);
+        pendingActions.delete(requestId);
+        if (callback) callback(result);
+    });
 
-        // Set our player's initial position (server might override later if needed)
-        if (state.players[myPlayerId]) {
-             playerMesh.position.copy(state.players[myPlayerId].position);
-             clientState.resources = state.players[myPlayerId].resources; // Get initial resources
+    socket.on('joinFailed', (data) => {
+        console.warn('Could not join garden:', data.reason);
+        joinErrorDisplay.textContent = data.reason;
+        if (clientState.roomCode) {
+            // Our garden is gone (e.g. closed while we were away) - back to the join screen
+            clientState.roomCode = null;
+            myPlayerId = null;
+            spectating = false;
+            setWatching(false);
+            clearWorld();
+            messageDisplay.textContent = '';
+            joinScreen.classList.remove('hidden');
+            updateUI();
         }
+    });
 
-        // Add existing players
-        for (const id in state.players) {
-            if (id !== myPlayerId) {
-                addOtherPlayer(state.players[id]);
-            }
+    socket.on('initialState', (state) => {
+        console.log('Received initial state:', state);
+        myPlayerId = state.playerId;
+        spectating = Boolean(state.spectator);
+        clientState.roomCode = state.roomCode;
+        clientState.spectators = state.spectators;
+        if (!spectating) {
+            // Remember our session so we get the same gardener (and inventory) back next time
+            sessionStorage.setItem(sessionStorageKey(state.roomCode), state.sessionToken);
         }
-        
-        // Add existing resources
-        state.resources.forEach(resource => {
-            addResource(resource);
-        });
-        
-        // Render existing flowers based on state
-        renderAllFlowersFromState();
+        joinScreen.classList.add('hidden');
+        // Put the code in the URL so it can be shared as a link
+        history.replaceState(null, '', `?room=${state.roomCode}`);
+        messageDisplay.textContent = ''; // Clear any "Reconnecting..." message
+        serverTimeOffset = state.serverTime - Date.now(); // Refined by every snapshot
+        loadGardenState(state);
+        setWatching(spectating);
+    });
 
-        updateUI(); // Update UI with initial state
+    socket.on('spectatorCount', (count) => {
+        clientState.spectators = count;
+        updateUI();
     });
 
     socket.on('gameStateReset', (state) => {
@@ -150,20 +310,23 @@ function setupSocketIO() {
             scene.remove(resourcesOnScreen[id]);
         }
         resourcesOnScreen = {};
+        pendingCollections.clear();
         
-        // Clear local flowers
-        renderAllFlowersFromState(); // This will clear based on empty state.flowers
+        // Clear local flowers (the new state first, so the old round's flowers aren't drawn again)
+        clientState.flowers = state.flowers; // Should be {}
+        renderAllFlowersFromState();
         
         // Update client state variables
-        clientState.flowers = state.flowers; // Should be {}
         clientState.timer = state.timer;
         clientState.weather = state.weather;
+        clientState.forecast = state.forecast;
         
         // Reset player resources locally (server should send updated ones if needed)
         // Or wait for an 'updatePlayerResources' event after reset if server sends it
         // clientState.resources = { petals: 0, water: 0 }; 
         
         messageDisplay.textContent = ''; // Clear end game message
+        resultsScreen.classList.add('hidden');
         
         updateUI();
         updateWeatherEffects(clientState.weather);
@@ -171,6 +334,7 @@ function setupSocketIO() {
 
     socket.on('playerJoined', (playerData) => {
         console.log('Player joined:', playerData.id);
+        playerProfiles[playerData.id] = toProfile(playerData);
         if (playerData.id !== myPlayerId) {
             addOtherPlayer(playerData);
         }
@@ -181,13 +345,27 @@ function setupSocketIO() {
         removeOtherPlayer(playerId);
     });
 
-    socket.on('playerMoved', (data) => {
-        if (otherPlayers[data.id]) {
-            // Smooth movement could be added here (e.g., lerping)
-            otherPlayers[data.id].position.copy(data.position);
-        }
+    // The server sends one snapshot per tick: the events queued during that tick, in order,
+    // plus the positions of players who moved. Events go to the same handlers as above.
+    socket.on('snapshot', (snapshot) => {
+        applySnapshot(snapshot);
+
+        // Smoothed estimate of the server clock, used to pick a render time for interpolation
+        const offsetSample = snapshot.time - Date.now();
+        serverTimeOffset = serverTimeOffset === null ? offsetSample : serverTimeOffset + (offsetSample - serverTimeOffset) * 0.1;
     });
     
+    socket.on('positionCorrection', (position) => {
+        console.warn('Server corrected our position:', position);
+        const target = new THREE.Vector3(position.x, position.y, position.z);
+        if (playerMesh.position.distanceTo(target) > CORRECTION_SNAP_DISTANCE) {
+            playerMesh.position.copy(target); // Too far off to ease, just snap
+            correctionTarget = null;
+        } else {
+            correctionTarget = target;
+        }
+    });
+
     socket.on('resourceSpawned', (resource) => {
         console.log('Resource spawned:', resource.id, resource.type);
         addResource(resource);
@@ -198,6 +376,10 @@ function setupSocketIO() {
         removeResource(resourceId);
     });
 
+    socket.on('resourceDespawned', (resourceId) => {
+        removeResource(resourceId); // Nobody picked it up in time
+    });
+
     socket.on('updatePlayerResources', (resources) => {
         console.log("My resources updated:", resources);
         clientState.resources = resources;
@@ -217,6 +399,19 @@ function setupSocketIO() {
         renderFlower(flowerData.slotId); // Update the flower mesh to new stage
         updateUI();
     });
+
+    socket.on('flowerUpdated', (flowerData) => {
+        // Health changed (watered, drying out, wilting or withering back a stage)
+        clientState.flowers[flowerData.slotId] = flowerData;
+        renderFlower(flowerData.slotId);
+    });
+
+    socket.on('flowerDied', (slotId) => {
+        console.log('Flower died:', slotId);
+        delete clientState.flowers[slotId];
+        renderFlower(slotId); // Removes the mesh, freeing the slot
+        updateUI();
+    });
     
     socket.on('weatherUpdate', (newWeather) => {
         console.log('Weather updated:', newWeather);
@@ -225,20 +420,51 @@ function setupSocketIO() {
         updateWeatherEffects(newWeather); 
         updateUI();
     });
+
+    socket.on('weatherForecast', (forecast) => {
+        clientState.forecast = forecast;
+        updateUI();
+    });
     
+    socket.on('phaseUpdate', (phase) => {
+        const previousPhase = clientState.phase.phase;
+        clientState.phase = phase;
+        if (phase.phase !== 'playing') {
+            keys = {}; // Stop movement
+        }
+        if (phase.phase === 'lobby' && previousPhase === 'results') {
+            resultsScreen.classList.add('hidden'); // Back to the lobby to play again
+        }
+        updateUI();
+    });
+
     socket.on('timerUpdate', (newTime) => {
         clientState.timer = newTime;
+        if (clientState.forecast && clientState.forecast.secondsLeft > 0) {
+            clientState.forecast.secondsLeft--; // Weather runs on round time, like the timer
+        }
         updateUI();
     });
     
     socket.on('gameOver', (data) => {
-        console.log('Game Over:', data.message);
-        messageDisplay.textContent = data.message;
-        // Freeze player movement, show final screen, etc.
-        // For now, just display the message
+        console.log('Game Over:', data.message, data.summary);
+        showResults(data);
         keys = {}; // Stop movement
     });
 
+    socket.on('chatMessage', ({ playerId, text }) => {
+        addChatLine(playerLabel(playerId), text);
+    });
+
+    socket.on('emote', ({ playerId, emote }) => {
+        showEmote(playerId, emote);
+    });
+
+    socket.on('kicked', (data) => {
+        console.warn('Kicked by server:', data.reason);
+        messageDisplay.textContent = `Disconnected: ${data.reason}`;
+    });
+
     socket.on('connect_error', (err) => {
         console.error("Connection Error:", err.message);
         messageDisplay.textContent = 'Cannot connect to server. Please refresh later.';
@@ -246,75 +472,396 @@ function setupSocketIO() {
 }
 
 
+// Rebuilds the scene from a full garden state: on joining (this may be a resync after
+// reconnecting) and when a replay starts over
+function loadGardenState(state) {
+    clearWorld();
+    correctionTarget = null;
+    createGarden(state.layout);
+    clientState.species = state.species;
+    if (!clientState.species[clientState.selectedSpecies]) {
+        clientState.selectedSpecies = Object.keys(state.species)[0];
+    }
+    clientState.recipes = state.recipes;
+    createCraftingButtons();
+    clientState.timer = state.timer;
+    clientState.phase = state.phase;
+    clientState.weather = state.weather;
+    clientState.forecast = state.forecast;
+    clientState.dayCycle = state.dayCycle;
+    clientState.flowers = state.flowers || {}; // Ensure flowers object exists
+
+    // Set our player's initial position (server might override later if needed)
+    if (state.players[myPlayerId]) {
+         setAvatarModel(playerMesh, state.players[myPlayerId]);
+         playerMesh.position.copy(state.players[myPlayerId].position);
+         clientState.resources = state.players[myPlayerId].resources; // Get initial resources
+    }
+
+    // Add existing players
+    for (const id in state.players) {
+        playerProfiles[id] = toProfile(state.players[id]);
+        if (id !== myPlayerId) {
+            addOtherPlayer(state.players[id]);
+        }
+    }
+    
+    // Add existing resources
+    state.resources.forEach(resource => {
+        addResource(resource);
+    });
+    
+    // Render existing flowers based on state
+    renderAllFlowersFromState();
+
+    updateWeatherEffects(clientState.weather, true); // No need to ease in on joining
+    updateUI(); // Update UI with initial state
+}
+
+// Applies one snapshot, live from the server or from a recording
+function applySnapshot(snapshot) {
+    // Events for everyone first, then the ones meant only for us (inventory, corrections, action results)
+    [...snapshot.events, ...(snapshot.personal || [])].forEach(([event, data]) => {
+        socket.listeners(event).forEach(listener => listener(data));
+    });
+    for (const id in snapshot.players) {
+        if (otherPlayers[id]) {
+            bufferRemotePosition(id, snapshot.players[id]);
+        }
+    }
+}
+
+// --- Garden Rooms ---
+function setupJoinScreen() {
+    // Pre-fill the code when opened from a shared link (e.g. /?room=ABCD)
+    const codeFromUrl = new URLSearchParams(window.location.search).get('room');
+    if (codeFromUrl) {
+        roomCodeInput.value = codeFromUrl.toUpperCase();
+    }
+
+    socket.on('availableLayouts', (layouts) => {
+        layoutSelect.innerHTML = '';
+        layouts.forEach(layout => {
+            const option = document.createElement('option');
+            option.value = layout.id;
+            option.textContent = layout.name;
+            layoutSelect.appendChild(option);
+        });
+    });
+
+    socket.on('profileOptions', ({ colors, avatars, maxNameLength }) => {
+        const saved = loadProfile();
+        nameInput.maxLength = maxNameLength;
+        nameInput.value = saved.name || '';
+        colorSelect.innerHTML = '';
+        colors.forEach(color => {
+            const option = document.createElement('option');
+            option.value = color;
+            option.textContent = '\u25A0 ' + color;
+            option.style.color = color;
+            colorSelect.appendChild(option);
+        });
+        avatarSelect.innerHTML = '';
+        avatars.forEach(avatar => {
+            const option = document.createElement('option');
+            option.value = avatar;
+            option.textContent = AVATAR_LABELS[avatar] || avatar;
+            avatarSelect.appendChild(option);
+        });
+        if (colors.includes(saved.color)) colorSelect.value = saved.color;
+        if (avatars.includes(saved.avatar)) avatarSelect.value = saved.avatar;
+    });
+
+    createRoomButton.addEventListener('click', () => {
+        joinErrorDisplay.textContent = '';
+        socket.emit('createRoom', {
+            layoutId: layoutSelect.value,
+            roundDuration: Number(roundLengthSelect.value),
+            profile: saveProfile()
+        });
+    });
+
+    const joinByCode = () => {
+        const code = roomCodeInput.value.trim().toUpperCase();
+        if (!code) {
+            joinErrorDisplay.textContent = 'Enter a garden code to join.';
+            return;
+        }
+        joinErrorDisplay.textContent = '';
+        socket.emit('joinRoom', {
+            code,
+            sessionToken: sessionStorage.getItem(sessionStorageKey(code)),
+            profile: saveProfile()
+        });
+    };
+    joinRoomButton.addEventListener('click', joinByCode);
+    spectateRoomButton.addEventListener('click', () => {
+        const code = roomCodeInput.value.trim().toUpperCase();
+        if (!code) {
+            joinErrorDisplay.textContent = 'Enter a garden code to watch.';
+            return;
+        }
+        joinErrorDisplay.textContent = '';
+        socket.emit('spectateRoom', { code });
+    });
+    roomCodeInput.addEventListener('keydown', (event) => {
+        if (event.code === 'Enter') joinByCode();
+    });
+}
+
+// Session tokens live in sessionStorage, which is per tab: a reload gets our gardener back, while
+// a second tab joins as a gardener of its own instead of taking over this one
+function sessionStorageKey(roomCode) {
+    return `pixelPetals.session.${roomCode}`;
+}
+
+// The server has the final say on names and looks; this is just what we ask for
+function loadProfile() {
+    try {
+        return JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveProfile() {
+    const profile = { name: nameInput.value.trim(), color: colorSelect.value, avatar: avatarSelect.value };
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+    return profile;
+}
+
+
 // --- Game Element Creation ---
 
-function createGarden() {
+function createGarden(layout) {
+    // Throw away the previous garden; we may have joined a room with a different layout
+    if (gardenGroup) {
+        scene.remove(gardenGroup);
+    }
+    gardenGroup = new THREE.Group();
+    scene.add(gardenGroup);
+    clientState.layout = layout;
+
     // Garden Plane (Ground)
-    const planeGeometry = new THREE.PlaneGeometry(GARDEN_SIZE, GARDEN_SIZE);
+    const planeGeometry = new THREE.PlaneGeometry(layout.size, layout.size);
     const planeMaterial = new THREE.MeshStandardMaterial({ color: 0x228B22, side: THREE.DoubleSide }); // Forest green
     gardenPlane = new THREE.Mesh(planeGeometry, planeMaterial);
     gardenPlane.rotation.x = -Math.PI / 2; // Rotate to lay flat
-    scene.add(gardenPlane);
+    gardenGroup.add(gardenPlane);
 
-    // Grid Helper (Visual Aid)
-    gardenGrid = new THREE.GridHelper(GARDEN_SIZE, GRID_DIVISIONS, 0x888888, 0x444444);
+    // Grid Helper (Visual Aid) - one cell per unit
+    gardenGrid = new THREE.GridHelper(layout.size, layout.size, 0x888888, 0x444444);
     gardenGrid.position.y = 0.01; // Slightly above the plane to avoid z-fighting
-    scene.add(gardenGrid);
+    gardenGroup.add(gardenGrid);
+
+    // Obstacles (simple boxes for now)
+    layout.obstacles.forEach(obstacle => {
+        const geometry = new THREE.BoxGeometry(obstacle.width, obstacle.height, obstacle.depth);
+        const material = new THREE.MeshStandardMaterial({ color: OBSTACLE_COLORS[obstacle.type] || 0x8B4513 });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(obstacle.position.x, obstacle.height / 2, obstacle.position.z);
+        gardenGroup.add(mesh);
+    });
+
+    initFlowerSlots(layout);
+
+    // Pull the camera back far enough to see the whole garden
+    camera.position.set(0, layout.size * 0.75, layout.size * 0.75);
+    camera.lookAt(0, 0, 0);
 }
 
-function initFlowerSlots() {
+function initFlowerSlots(layout) {
     // Optional: Add visual markers for where flowers can be planted
     const slotGeometry = new THREE.CircleGeometry(0.5, 16); // Small circle on the ground
     const slotMaterial = new THREE.MeshBasicMaterial({ color: 0x654321, side: THREE.DoubleSide, transparent: true, opacity: 0.5 }); // Brownish, semi-transparent
     
-    FLOWER_SLOT_POSITIONS.forEach((pos, index) => {
+    layout.slots.forEach(slot => {
         const slotMesh = new THREE.Mesh(slotGeometry, slotMaterial);
         slotMesh.rotation.x = -Math.PI / 2;
-        slotMesh.position.set(pos.x, 0.02, pos.z); // Place slightly above ground
-        scene.add(slotMesh);
-        // Store the slot position with an ID for later reference
-        clientState.flowerSlots.push({ id: `slot_${index}`, position: pos });
+        slotMesh.position.set(slot.position.x, 0.02, slot.position.z); // Place slightly above ground
+        gardenGroup.add(slotMesh);
     });
+    // Keep the slots (with their IDs) for later reference
+    clientState.flowerSlots = layout.slots;
 }
 
 function addOtherPlayer(playerData) {
     if (otherPlayers[playerData.id]) return; // Already exists
 
-    const geometry = new THREE.BoxGeometry(1, 1, 1);
-    // Give other players a different color
-    const material = new THREE.MeshStandardMaterial({ color: 0xff0000 }); // Red cube
-    const mesh = new THREE.Mesh(geometry, material);
+    const mesh = new THREE.Group();
+    setAvatarModel(mesh, playerData);
     mesh.position.copy(playerData.position);
     otherPlayers[playerData.id] = mesh;
+    remotePositionBuffers[playerData.id] = [];
     scene.add(mesh);
 }
 
 function removeOtherPlayer(playerId) {
     if (otherPlayers[playerId]) {
         scene.remove(otherPlayers[playerId]);
+        disposeAvatarModel(otherPlayers[playerId]);
         delete otherPlayers[playerId];
+        delete remotePositionBuffers[playerId];
+    }
+}
+
+// --- Avatars & Name Tags ---
+function toProfile({ name, color, avatar }) {
+    return { name, color, avatar };
+}
+
+function createAvatarGeometry(avatar) {
+    switch (avatar) {
+        case 'ball':
+            return new THREE.SphereGeometry(0.5, 16, 12);
+        case 'cone':
+            return new THREE.ConeGeometry(0.5, 1, 16);
+        case 'barrel':
+            return new THREE.CylinderGeometry(0.45, 0.45, 1, 16);
+        default:
+            return new THREE.BoxGeometry(1, 1, 1);
+    }
+}
+
+// (Re)builds a player's body and name tag inside their group; anything else attached
+// to the group, like our light or emote sprites, is left alone
+function setAvatarModel(group, player) {
+    disposeAvatarModel(group);
+
+    const body = new THREE.Mesh(
+        createAvatarGeometry(player.avatar),
+        new THREE.MeshStandardMaterial({ color: player.color || '#4CAF50' })
+    );
+    body.name = 'avatarBody';
+    group.add(body);
+
+    const nameTag = createNameTag(player.name || playerLabel(player.id));
+    nameTag.name = 'nameTag';
+    nameTag.position.set(0, NAME_TAG_HEIGHT, 0);
+    group.add(nameTag);
+}
+
+function disposeAvatarModel(group) {
+    ['avatarBody', 'nameTag'].forEach(name => {
+        const part = group.getObjectByName(name);
+        if (!part) return;
+        group.remove(part);
+        if (part.geometry) part.geometry.dispose();
+        if (part.material.map) part.material.map.dispose();
+        part.material.dispose();
+    });
+}
+
+function createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = 'bold 28px sans-serif';
+    canvas.width = Math.ceil(context.measureText(name).width) + 20;
+    canvas.height = 40;
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = 'bold 28px sans-serif'; // Resizing the canvas resets the context
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffffff';
+    context.fillText(name, 10, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    sprite.scale.set(0.4 * canvas.width / canvas.height, 0.4, 1);
+    return sprite;
+}
+
+// --- Remote Player Interpolation ---
+// Other players are drawn INTERPOLATION_DELAY behind the server clock, blending between the
+// two buffered positions either side of that moment, so they move smoothly between snapshots.
+
+// The server clock as best we know it - or, when watching a replay, the moment on screen
+function serverNow() {
+    return replay ? replay.time : Date.now() + (serverTimeOffset || 0);
+}
+
+function bufferRemotePosition(playerId, sample) {
+    const buffer = remotePositionBuffers[playerId];
+    if (buffer.length > 0 && sample.t <= buffer[buffer.length - 1].t) return; // Stale or duplicate
+    buffer.push({ t: sample.t, x: sample.x, z: sample.z });
+    if (buffer.length > MAX_BUFFERED_POSITIONS) {
+        buffer.shift();
+    }
+}
+
+function updateRemotePlayers(deltaTime) {
+    if (serverTimeOffset === null && !replay) return;
+    const renderTime = serverNow() - INTERPOLATION_DELAY;
+
+    for (const id in otherPlayers) {
+        const mesh = otherPlayers[id];
+        const buffer = remotePositionBuffers[id];
+        if (buffer.length === 0) continue;
+
+        // Drop samples we've moved past, keeping the one just before renderTime
+        while (buffer.length >= 2 && buffer[1].t <= renderTime) {
+            buffer.shift();
+        }
+
+        const from = buffer[0];
+        const to = buffer[1];
+        if (renderTime < from.t) continue; // Nothing to show yet
+        let x = from.x;
+        let z = from.z;
+        if (to && renderTime > from.t) {
+            if (to.t - from.t > MAX_INTERPOLATION_GAP) {
+                // Too long without updates to glide sensibly; hold, then snap when the next sample is due
+                continue;
+            }
+            const alpha = (renderTime - from.t) / (to.t - from.t);
+            x = from.x + (to.x - from.x) * alpha;
+            z = from.z + (to.z - from.z) * alpha;
+        }
+        // Past the newest sample we hold still rather than guess (no extrapolation)
+
+        // Face the direction of travel
+        const dx = x - mesh.position.x;
+        const dz = z - mesh.position.z;
+        if (dx * dx + dz * dz > 0.00001) {
+            const targetAngle = Math.atan2(dx, dz);
+            let turn = targetAngle - mesh.rotation.y;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // Shortest way round
+            mesh.rotation.y += turn * Math.min(1, TURN_RATE * deltaTime);
+        }
+        mesh.position.x = x;
+        mesh.position.z = z;
     }
 }
 
 function addResource(resource) {
     if (resourcesOnScreen[resource.id]) return; // Avoid duplicates
 
-    let geometry, material;
-    if (resource.type === 'petal') {
-        geometry = new THREE.SphereGeometry(0.2, 8, 8); // Small sphere
-        material = new THREE.MeshBasicMaterial({ color: 0xFFC0CB }); // Pink
-    } else { // water
-        geometry = new THREE.SphereGeometry(0.2, 8, 8); // Small sphere
-        material = new THREE.MeshBasicMaterial({ color: 0xADD8E6 }); // Light Blue
-    }
+    const look = RESOURCE_LOOKS[resource.type] || RESOURCE_LOOKS.petal;
+    const geometry = new THREE.SphereGeometry(look.size, 8, 8); // Small sphere
+    const material = new THREE.MeshBasicMaterial({ color: look.color });
     
     const mesh = new THREE.Mesh(geometry, material);
     mesh.position.copy(resource.position); // Use position from server
+    mesh.userData.despawnAt = performance.now() + resource.lifetime * 1000; // Roughly; the server has the final say
     resourcesOnScreen[resource.id] = mesh;
     scene.add(mesh);
 }
 
+// Removes every other player, resource and flower from the scene (our own mesh stays)
+function clearWorld() {
+    for (const id in otherPlayers) {
+        removeOtherPlayer(id);
+    }
+    for (const id in resourcesOnScreen) {
+        removeResource(id);
+    }
+    clientState.flowers = {};
+    renderAllFlowersFromState();
+    activeEmotes.forEach(({ sprite, mesh }) => removeEmote(sprite, mesh));
+    activeEmotes = [];
+}
+
 function removeResource(resourceId) {
+    pendingCollections.delete(resourceId);
     if (resourcesOnScreen[resourceId]) {
         scene.remove(resourcesOnScreen[resourceId]);
         delete resourcesOnScreen[resourceId];
@@ -340,6 +887,8 @@ function renderFlower(slotId) {
 
     let geometry, material;
     let scale = 1.0; // Base scale
+    let rotationX = 0;
+    const species = clientState.species[flowerData.species] || Object.values(clientState.species)[0];
     const slot = clientState.flowerSlots.find(s => s.id === slotId);
     if (!slot) {
         console.error("Slot not found for ID:", slotId);
@@ -360,26 +909,61 @@ function renderFlower(slotId) {
             material = new THREE.MeshStandardMaterial({ color: 0x90EE90 }); // Light Green
             position.y = 0.25; // Adjust height based on cone origin
             break;
-        case 'budding':
+        case 'budding': {
             geometry = new THREE.SphereGeometry(0.3, 16, 16);
-            material = new THREE.MeshStandardMaterial({ color: 0x32CD32 }); // Lime Green
+            // Lime green with a hint of the species' bloom colour showing through
+            const budColor = new THREE.Color(0x32CD32).lerp(new THREE.Color(species.bloom.color), 0.3);
+            material = new THREE.MeshStandardMaterial({ color: budColor });
             position.y = 0.6; // Buds are higher
             // Optional: Add a stem (cylinder)
             break;
-        case 'bloom':
-            // More complex shape - maybe multiple spheres or a custom model later
-            geometry = new THREE.SphereGeometry(0.5, 16, 16); 
-            // Color based on who planted or random? Example: Pink
-            material = new THREE.MeshStandardMaterial({ color: 0xFF69B4, emissive: 0x330000 }); // Hot Pink, slight glow
+        }
+        case 'bloom': {
+            // Each species has its own bloom colour and shape
+            const bloomColor = new THREE.Color(species.bloom.color);
+            material = new THREE.MeshStandardMaterial({ color: bloomColor, emissive: bloomColor.clone().multiplyScalar(0.2) }); // Slight glow
             position.y = 1.0; 
+            switch (species.bloom.shape) {
+                case 'disc': // Wide flat face, tilted towards the camera
+                    geometry = new THREE.CylinderGeometry(0.6, 0.6, 0.15, 24);
+                    rotationX = Math.PI / 4;
+                    break;
+                case 'bell': // Upside-down open cone
+                    geometry = new THREE.ConeGeometry(0.4, 0.6, 12, 1, true);
+                    material.side = THREE.DoubleSide;
+                    rotationX = Math.PI;
+                    position.y = 0.9;
+                    break;
+                case 'star': // Spiky, like a bright little star
+                    geometry = new THREE.OctahedronGeometry(0.5);
+                    break;
+                case 'knot': // Twisted petals
+                    geometry = new THREE.TorusKnotGeometry(0.3, 0.1, 48, 8);
+                    break;
+                default: // 'sphere'
+                    geometry = new THREE.SphereGeometry(0.5, 16, 16); 
+            }
             break;
+        }
         default:
             console.warn("Unknown flower stage:", flowerData.stage);
             return; // Don't render unknown stage
     }
 
+    // Wilted flowers fade to a dry colour, droop to one side and shrink a little
+    let rotationZ = 0;
+    if (flowerData.wilted) {
+        material.color.lerp(new THREE.Color(WILTED_COLOR), 0.6);
+        material.emissive.setHex(0x000000);
+        rotationZ = 0.5;
+        scale = 0.8;
+    }
+
     const mesh = new THREE.Mesh(geometry, material);
+    mesh.userData.glow = flowerData.stage === 'bloom' && species.bloom.glow && !flowerData.wilted; // Lit up at night, see applyLighting()
     mesh.position.copy(position);
+    mesh.rotation.x = rotationX;
+    mesh.rotation.z = rotationZ;
     mesh.scale.set(scale, scale, scale); // Apply scale
 
     flowersOnScreen[slotId] = mesh;
@@ -410,7 +994,14 @@ function renderAllFlowersFromState() {
 // --- Player Input & Movement ---
 
 function onKeyDown(event) {
+    if (event.target.tagName === 'INPUT') return; // Typing in a form field shouldn't move the player
+    if (replay || spectating) {
+        keys[event.code] = true; // Moves the orbit camera
+        if (replay && event.code === 'Space' && !event.repeat) toggleReplayPlayback();
+        return; // Watching, not playing
+    }
     keys[event.code] = true;
+    if (event.repeat) return; // Holding an action key down shouldn't spam the server
     
     // Planting Action (Example: Press 'P')
     if (event.code === 'KeyP') {
@@ -418,7 +1009,24 @@ function onKeyDown(event) {
     }
     // Nurturing Action (Example: Press 'N')
     if (event.code === 'KeyN') {
-        tryNurtureFlower();
+        tryNurtureFlower('water');
+    }
+    // Fertilising Action (Press 'F')
+    if (event.code === 'KeyF') {
+        tryNurtureFlower('fertiliser');
+    }
+    // Ready for the next round (Press 'R')
+    if (event.code === 'KeyR') {
+        toggleReady();
+    }
+    // Chat (Press 'Enter')
+    if (event.code === 'Enter') {
+        keys = {}; // Don't keep walking while typing
+        chatInput.focus();
+    }
+    // Species Selection (number keys, in catalog order)
+    if (event.code.startsWith('Digit')) {
+        selectSpecies(Number(event.code.slice(5)) - 1);
     }
 }
 
@@ -427,7 +1035,8 @@ function onKeyUp(event) {
 }
 
 function updatePlayerMovement(deltaTime) {
-    if (!playerMesh || !socket || !myPlayerId || clientState.timer <= 0) return; // Don't move if game over or not initialized
+    if (!playerMesh || !socket || !socket.connected || !myPlayerId || !isPlaying()) return; // Don't move between rounds, offline or not initialized
+    if (correctionTarget) return; // Let the server correction finish before moving again
 
     const moveSpeed = PLAYER_SPEED * deltaTime;
     let moved = false;
@@ -454,12 +1063,24 @@ function updatePlayerMovement(deltaTime) {
         moveDirection.normalize(); // Ensure consistent speed diagonally
 
         // Calculate potential new position
-        const potentialPosition = playerMesh.position.clone().add(moveDirection.multiplyScalar(moveSpeed));
+        const step = moveDirection.multiplyScalar(moveSpeed);
+        const potentialPosition = playerMesh.position.clone().add(step);
         
         // Boundary Check (Simple clamp based on garden size)
-        const halfGarden = GARDEN_SIZE / 2 - 0.5; // Subtract half player size
+        const halfGarden = clientState.layout.size / 2 - PLAYER_HALF_SIZE;
         potentialPosition.x = Math.max(-halfGarden, Math.min(halfGarden, potentialPosition.x));
         potentialPosition.z = Math.max(-halfGarden, Math.min(halfGarden, potentialPosition.z));
+
+        // Obstacle Check - if blocked, try sliding along one axis instead
+        if (isInsideObstacle(potentialPosition)) {
+            potentialPosition.copy(playerMesh.position);
+            potentialPosition.x = Math.max(-halfGarden, Math.min(halfGarden, potentialPosition.x + step.x));
+            if (isInsideObstacle(potentialPosition)) {
+                potentialPosition.x = playerMesh.position.x;
+                potentialPosition.z = Math.max(-halfGarden, Math.min(halfGarden, potentialPosition.z + step.z));
+                if (isInsideObstacle(potentialPosition)) return; // Blocked both ways
+            }
+        }
         
         // Apply movement
         playerMesh.position.copy(potentialPosition);
@@ -468,9 +1089,41 @@ function updatePlayerMovement(deltaTime) {
         // --- Check for Resource Collection ---
         checkForResourceCollection();
 
-        // --- Send position update to server ---
-        // Throttle this later if needed (e.g., send every 100ms)
-        socket.emit('playerMove', playerMesh.position);
+        // --- Position update is sent to the server by sendPositionUpdate() ---
+        positionDirty = true;
+    }
+}
+
+// Sends our position at most every MOVE_SEND_INTERVAL. A move made between sends goes out
+// on the next one, so the server always ends up with where we stopped.
+function sendPositionUpdate() {
+    if (!positionDirty || !socket || !socket.connected) return;
+    const now = performance.now();
+    if (now - lastMoveSentAt < MOVE_SEND_INTERVAL) return;
+
+    socket.emit('playerMove', { x: playerMesh.position.x, y: playerMesh.position.y, z: playerMesh.position.z });
+    lastMoveSentAt = now;
+    positionDirty = false;
+}
+
+
+// Same rule as the server: obstacles are boxes grown by our half size
+function isInsideObstacle(position) {
+    return clientState.layout.obstacles.some(obstacle =>
+        Math.abs(position.x - obstacle.position.x) < obstacle.width / 2 + PLAYER_HALF_SIZE &&
+        Math.abs(position.z - obstacle.position.z) < obstacle.depth / 2 + PLAYER_HALF_SIZE
+    );
+}
+
+function applyPositionCorrection(deltaTime) {
+    if (!correctionTarget) return;
+
+    // Exponential ease towards the accepted position, frame-rate independent
+    const t = 1 - Math.exp(-CORRECTION_EASE_RATE * deltaTime);
+    playerMesh.position.lerp(correctionTarget, t);
+    if (playerMesh.position.distanceToSquared(correctionTarget) < 0.0001) {
+        playerMesh.position.copy(correctionTarget);
+        correctionTarget = null;
     }
 }
 
@@ -482,129 +1135,768 @@ function checkForResourceCollection() {
     const collectionRadiusSq = 1.0 * 1.0; // Square of the distance threshold (adjust as needed)
 
     for (const resourceId in resourcesOnScreen) {
+        const requestedAt = pendingCollections.get(resourceId);
+        if (requestedAt && performance.now() - requestedAt < COLLECT_RETRY_MS) continue; // Already waiting on the server
         const resourceMesh = resourcesOnScreen[resourceId];
         const distSq = playerPos.distanceToSquared(resourceMesh.position);
 
         if (distSq < collectionRadiusSq) {
             console.log("Player near resource:", resourceId);
             // Tell the server we *attempt* to collect this resource
-            socket.emit('collectResource', resourceId); 
+            sendAction('collectResource', resourceId, (result) => {
+                // Losing a race for an orb isn't worth a toast; anything else is
+                if (!result.ok && result.code !== 'RESOURCE_GONE') showActionResult(result);
+            }); 
+            pendingCollections.set(resourceId, performance.now());
             // We don't remove/update client state directly. Server will confirm.
             break; // Collect one at a time per check cycle
         }
     }
 }
 
+function selectSpecies(index) {
+    const speciesIds = Object.keys(clientState.species);
+    if (index < 0 || index >= speciesIds.length) return;
+    clientState.selectedSpecies = speciesIds[index];
+    updateUI();
+}
+
+function canAfford(cost) {
+    return Object.keys(cost).every(type => (clientState.resources[type] || 0) >= cost[type]);
+}
+
+// e.g. { petals: 2, water: 1 } -> "2 petals, 1 water"
+function formatCost(cost) {
+    return Object.keys(cost).map(type => `${cost[type]} ${itemName(type)}`).join(', ');
+}
+
+// Crafted items are named by their recipe; petals and water by their inventory key
+function itemName(type) {
+    return clientState.recipes[type] ? clientState.recipes[type].name : type;
+}
+
 function tryPlantSeed() {
-    if (!socket || clientState.resources.petals <= 0) {
-        console.log("Cannot plant: No petals or not connected.");
-        // Optionally show UI message: "Need Pixel Petals to plant!"
-        return; 
+    const species = clientState.species[clientState.selectedSpecies];
+    if (!socket || !socket.connected || !species) return;
+    if (!isPlaying()) {
+        showActionResult({ ok: false, code: 'NOT_PLAYING', message: 'Wait for the round to start' });
+        return;
+    }
+
+    // Find the closest *empty* slot within range
+    const closestSlot = findClosestSlot(slot => !clientState.flowers[slot.id]);
+    if (!closestSlot) {
+        const takenSlot = findClosestSlot(() => true);
+        showActionResult(takenSlot
+            ? { ok: false, code: 'SLOT_TAKEN', message: 'Slot taken', slotId: takenSlot.id }
+            : { ok: false, code: 'TOO_FAR', message: 'Too far from a plot' });
+        return;
     }
+    if (!canAfford(species.cost)) {
+        showActionResult({
+            ok: false,
+            code: 'NEED_RESOURCES',
+            message: `Need ${formatCost(species.cost)} for a ${species.name}`,
+            slotId: closestSlot.id
+        });
+        return;
+    }
+
+    console.log("Attempting to plant seed at slot:", closestSlot.id);
+    // Tell the server we want to plant here; flower updates come back as broadcasts
+    sendAction('plantFlower', { slotId: closestSlot.id, species: species.id }, showActionResult);
+}
 
+// Closest flower slot within reach that passes the filter, or null
+function findClosestSlot(filter) {
     const playerPos = playerMesh.position;
-    const plantingRadiusSq = 2.0 * 2.0; // How close player needs to be to a slot
     let closestSlot = null;
-    let minDistSq = plantingRadiusSq;
-
+    let minDistSq = ACTION_RANGE_SQ;
     clientState.flowerSlots.forEach(slot => {
-        const slotPos = new THREE.Vector3(slot.position.x, 0, slot.position.z);
-        const distSq = playerPos.distanceToSquared(slotPos);
-        
-        // Find the closest *empty* slot within range
-        if (distSq < minDistSq && !clientState.flowers[slot.id]) {
+        const distSq = playerPos.distanceToSquared(new THREE.Vector3(slot.position.x, 0, slot.position.z));
+        if (distSq < minDistSq && filter(slot)) {
             minDistSq = distSq;
             closestSlot = slot;
         }
     });
+    return closestSlot;
+}
 
-    if (closestSlot) {
-        console.log("Attempting to plant seed at slot:", closestSlot.id);
-        // Tell the server we want to plant here
-        socket.emit('plantFlower', { slotId: closestSlot.id });
-        // Client state updates will come back from the server on success
-    } else {
-        console.log("No empty flower slot nearby to plant in.");
-         // Optionally show UI message: "Move closer to an empty plot!"
+// Nurtures the nearest flower that can use the item ('water' or 'fertiliser')
+function tryNurtureFlower(item) {
+    if (!socket || !socket.connected) return;
+    if (!isPlaying()) {
+        showActionResult({ ok: false, code: 'NOT_PLAYING', message: 'Wait for the round to start' });
+        return;
+    }
+    if (!(clientState.resources[item] > 0)) {
+        showActionResult({ ok: false, code: 'NEED_RESOURCES', message: `Need ${itemName(item)}` });
+        return;
+    }
+
+    // Growing flowers can always be nurtured; blooms only when they need water
+    const closestSlot = findClosestSlot(slot => {
+        const flowerData = clientState.flowers[slot.id];
+        return flowerData && (flowerData.stage !== 'bloom' || (item === 'water' && flowerData.health < MAX_FLOWER_HEALTH));
+    });
+    if (!closestSlot) {
+        const nearbySlot = findClosestSlot(() => true);
+        if (!nearbySlot) {
+            showActionResult({ ok: false, code: 'TOO_FAR', message: 'Too far from a plot' });
+        } else if (clientState.flowers[nearbySlot.id]) {
+            showActionResult({ ok: false, code: 'FULLY_GROWN', message: 'Already in full bloom', slotId: nearbySlot.id });
+        } else {
+            showActionResult({ ok: false, code: 'NO_FLOWER', message: 'Nothing planted there', slotId: nearbySlot.id });
+        }
+        return;
     }
+
+    console.log("Attempting to nurture flower at slot:", closestSlot.id);
+    // Tell the server we want to nurture this flower; it handles resource deduction and growth
+    sendAction('nurtureFlower', { slotId: closestSlot.id, item }, showActionResult);
+}
+
+// --- Action Feedback ---
+// Sends an action tagged with a request id; the server's actionResult for it, which arrives
+// in a later snapshot, is passed to onResult
+function sendAction(event, data, onResult) {
+    const requestId = nextRequestId++;
+    pendingActions.set(requestId, onResult);
+    socket.emit(event, data, requestId);
 }
 
-function tryNurtureFlower() {
-     if (!socket || clientState.resources.water <= 0) {
-        console.log("Cannot nurture: No water or not connected.");
-        // Optionally show UI message: "Need Water Droplets to nurture!"
-        return; 
+// Shows the result of an action ({ ok, code, message, slotId? }, from the server or our own
+// checks) as a toast, and flashes the plot it was aimed at
+function showActionResult(result) {
+    showToast(result.message, result.ok ? 'success' : 'error');
+    if (result.slotId) {
+        highlightSlot(result.slotId, result.ok);
     }
-    
-    const playerPos = playerMesh.position;
-    const nurturingRadiusSq = 2.0 * 2.0; // How close player needs to be
-    let closestFlowerSlotId = null;
-    let minDistSq = nurturingRadiusSq;
+}
 
-    for (const slotId in clientState.flowers) {
-        const flowerData = clientState.flowers[slotId];
-        const slot = clientState.flowerSlots.find(s => s.id === slotId);
-        
-        if (slot && flowerData.stage !== 'bloom') { // Can only nurture if not fully bloomed
-            const slotPos = new THREE.Vector3(slot.position.x, 0, slot.position.z);
-             const distSq = playerPos.distanceToSquared(slotPos);
-             if (distSq < minDistSq) {
-                 minDistSq = distSq;
-                 closestFlowerSlotId = slotId;
-             }
-        }
-    }
-     
-    if (closestFlowerSlotId) {
-        console.log("Attempting to nurture flower at slot:", closestFlowerSlotId);
-        // Tell the server we want to nurture this flower
-        socket.emit('nurtureFlower', { slotId: closestFlowerSlotId });
-        // Server handles resource deduction and growth logic
-    } else {
-         console.log("No growing flower nearby to nurture.");
-         // Optionally show UI message: "Move closer to a growing flower!"
-    }
-}
-
-function updateWeatherEffects(weather) {
-    // Example: Change background color or fog
-    switch(weather) {
-        case 'Sunny':
-            scene.background = new THREE.Color(0x87CEEB); // Sky blue
-            scene.fog = null; // Remove fog
-             // Maybe make directional light brighter
-            break;
-        case 'Cloudy':
-            scene.background = new THREE.Color(0xB0C4DE); // Light steel blue
-            scene.fog = new THREE.Fog(0xB0C4DE, 20, 60); // Add some fog
-             // Maybe dim lights slightly
-            break;
-        case 'Rainy':
-            scene.background = new THREE.Color(0x778899); // Light slate gray
-            scene.fog = new THREE.Fog(0x778899, 10, 40); // Denser fog
-            // Optional: Add particle system for rain effect
-            break;
+function showToast(message, kind) {
+    const toast = document.createElement('div');
+    toast.className = `toast ${kind}`;
+    toast.textContent = message;
+    toastContainer.appendChild(toast);
+    while (toastContainer.children.length > MAX_TOASTS) {
+        toastContainer.removeChild(toastContainer.firstChild);
+    }
+    setTimeout(() => toast.classList.add('fading'), TOAST_DURATION);
+    setTimeout(() => toast.remove(), TOAST_DURATION + 400); // After the fade-out transition
+}
+
+function highlightSlot(slotId, ok) {
+    const slot = clientState.flowerSlots.find(s => s.id === slotId);
+    if (!slot) return;
+    const mesh = new THREE.Mesh(
+        new THREE.RingGeometry(0.8, 1.0, 32),
+        new THREE.MeshBasicMaterial({ color: ok ? 0x90EE90 : 0xFF6666, transparent: true, side: THREE.DoubleSide })
+    );
+    mesh.rotation.x = -Math.PI / 2; // Flat on the ground
+    mesh.position.set(slot.position.x, 0.03, slot.position.z);
+    scene.add(mesh);
+    slotHighlights.push({ mesh, startedAt: performance.now() });
+}
+
+function updateSlotHighlights() {
+    const now = performance.now();
+    slotHighlights = slotHighlights.filter(({ mesh, startedAt }) => {
+        const progress = (now - startedAt) / SLOT_HIGHLIGHT_DURATION;
+        if (progress >= 1) {
+            scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+            return false;
+        }
+        mesh.material.opacity = 1 - progress;
+        return true;
+    });
+}
+
+// --- Crafting ---
+function createCraftingButtons() {
+    craftingPanel.innerHTML = '';
+    for (const itemId in clientState.recipes) {
+        const recipe = clientState.recipes[itemId];
+        const button = document.createElement('button');
+        button.dataset.item = itemId;
+        button.textContent = `Craft ${recipe.name} (${formatCost(recipe.ingredients)})`;
+        button.addEventListener('click', () => {
+            if (socket && socket.connected && isPlaying()) {
+                sendAction('craftItem', { recipe: itemId }, showActionResult);
+            }
+            button.blur(); // Keep keyboard focus on the game
+        });
+        craftingPanel.appendChild(button);
+    }
+}
+
+// Sets the look the scene eases towards; `immediate` skips the transition
+function updateWeatherEffects(weather, immediate = false) {
+    const look = WEATHER_LOOKS[weather] || WEATHER_LOOKS.Sunny;
+    targetWeatherLook = { ...look, sky: new THREE.Color(look.sky) };
+    if (immediate || !weatherLook) {
+        weatherLook = { ...targetWeatherLook, sky: targetWeatherLook.sky.clone() };
+        scene.background = new THREE.Color();
+        scene.fog = new THREE.Fog(0xffffff, look.fogNear, look.fogFar);
+    }
+}
+
+function applyWeatherTransition(deltaTime) {
+    const blend = 1 - Math.exp(-WEATHER_TRANSITION_RATE * deltaTime);
+    weatherLook.sky.lerp(targetWeatherLook.sky, blend);
+    ['fogNear', 'fogFar', 'ambient', 'sun', 'rain', 'clouds', 'wind'].forEach(key => {
+        weatherLook[key] += (targetWeatherLook[key] - weatherLook[key]) * blend;
+    });
+
+    // Lightning now and then once a storm is in full swing
+    if (weatherLook.rain > 0.8 && Math.random() < LIGHTNING_CHANCE * deltaTime) {
+        lightningFlash = 1;
+    }
+    lightningFlash = Math.max(0, lightningFlash - deltaTime * 4);
+
+    applyLighting();
+    updateRain(deltaTime);
+    updateClouds(deltaTime);
+}
+
+// --- Day & Night ---
+// The time of day comes from the server clock (our clock plus serverTimeOffset), so everyone
+// sees the same sky. A day starts at sunrise; the sun sets at dayCycle.nightStart.
+function getTimeOfDay() {
+    if (!clientState.dayCycle) {
+        return { progress: 0.25, isNight: false, daylight: 1, arc: 0.5 }; // Midday until we've joined
+    }
+    const { length, nightStart } = clientState.dayCycle;
+    const progress = (serverNow() % length) / length;
+    const isNight = progress >= nightStart;
+    // How far the sun (by day) or moon (by night) is across the sky, 0 to 1
+    const arc = isNight ? (progress - nightStart) / (1 - nightStart) : progress / nightStart;
+    // Full daylight for most of the day, fading through twilight at either end
+    const daylight = isNight ? 0 : Math.min(1, Math.sin(arc * Math.PI) * 3);
+    return { progress, isNight, daylight, arc };
+}
+
+// Combines the weather look with the time of day and applies it to the scene
+function applyLighting() {
+    const { isNight, daylight, arc } = getTimeOfDay();
+    const twilight = daylight * (1 - daylight) * 4; // Peaks halfway through sunrise and sunset
+
+    const sky = weatherLook.sky.clone().lerp(NIGHT_SKY, 1 - daylight).lerp(DUSK_SKY, twilight * 0.4);
+    scene.background.copy(sky);
+    scene.fog.color.copy(sky);
+    scene.fog.near = weatherLook.fogNear;
+    scene.fog.far = weatherLook.fogFar;
+    ambientLight.intensity = weatherLook.ambient * (NIGHT_AMBIENT + (1 - NIGHT_AMBIENT) * daylight) + lightningFlash * 1.5;
+
+    // The sun (or moon) rises in the east, crosses the sky and sets in the west
+    const height = Math.sin(arc * Math.PI);
+    directionalLight.position.set(Math.cos(arc * Math.PI) * SUN_ORBIT_RADIUS, height * SUN_ORBIT_RADIUS + 1, 7);
+    directionalLight.color.copy(isNight ? MOON_COLOR : SUN_COLOR);
+    directionalLight.intensity = isNight
+        ? weatherLook.sun * 0.3 * height // Moonlight, dimmed by clouds like the sun
+        : weatherLook.sun * Math.min(1, height * 2);
+
+    // Carry a brighter lantern at night, and let night-blooming flowers glow
+    playerLight.intensity = 0.7 + 0.8 * (1 - daylight);
+    for (const slotId in flowersOnScreen) {
+        const mesh = flowersOnScreen[slotId];
+        if (mesh.userData.glow) {
+            mesh.material.emissiveIntensity = 1 + 4 * (1 - daylight);
+        }
+    }
+}
+
+function createRain() {
+    const positions = new Float32Array(RAIN_DROP_COUNT * 2 * 3); // Two ends per drop
+    rainVelocity = new Float32Array(RAIN_DROP_COUNT);
+    for (let i = 0; i < RAIN_DROP_COUNT; i++) {
+        const x = (Math.random() - 0.5) * RAIN_AREA;
+        const y = Math.random() * RAIN_HEIGHT;
+        const z = (Math.random() - 0.5) * RAIN_AREA;
+        positions.set([x, y, z, x, y + RAIN_DROP_LENGTH, z], i * 6);
+        rainVelocity[i] = 15 + Math.random() * 5;
     }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    rainDrops = new THREE.LineSegments(
+        geometry,
+        new THREE.LineBasicMaterial({ color: 0xAAC8E0, transparent: true, opacity: 0.6 })
+    );
+    rainDrops.frustumCulled = false; // Drops move every frame; the bounding sphere would go stale
+    rainDrops.visible = false;
+    scene.add(rainDrops);
 }
 
+function updateRain(deltaTime) {
+    const activeDrops = Math.floor(RAIN_DROP_COUNT * weatherLook.rain);
+    rainDrops.visible = activeDrops > 0;
+    if (!rainDrops.visible) return;
+    rainDrops.geometry.setDrawRange(0, activeDrops * 2);
+
+    const positions = rainDrops.geometry.attributes.position.array;
+    const drift = weatherLook.wind * deltaTime; // Storms blow the rain sideways
+    for (let i = 0; i < activeDrops; i++) {
+        const base = i * 6;
+        let x = positions[base] + drift;
+        let y = positions[base + 1] - rainVelocity[i] * deltaTime;
+        if (y < 0) {
+            y += RAIN_HEIGHT;
+            x = (Math.random() - 0.5) * RAIN_AREA;
+        }
+        if (x > RAIN_AREA / 2) x -= RAIN_AREA;
+        positions[base] = x;
+        positions[base + 1] = y;
+        positions[base + 3] = x - weatherLook.wind * 0.05; // Slant the streak with the wind
+        positions[base + 4] = y + RAIN_DROP_LENGTH;
+    }
+    rainDrops.geometry.attributes.position.needsUpdate = true;
+}
+
+// Puffy clouds far off on the horizon, where the camera can see them
+function createClouds() {
+    cloudGroup = new THREE.Group();
+    cloudMaterial = new THREE.MeshLambertMaterial({ color: 0xffffff, transparent: true, opacity: 0, fog: false });
+    const puffGeometry = new THREE.SphereGeometry(1, 12, 8);
+    for (let i = 0; i < CLOUD_COUNT; i++) {
+        const cloud = new THREE.Group();
+        const puffs = 3 + Math.floor(Math.random() * 3);
+        for (let j = 0; j < puffs; j++) {
+            const puff = new THREE.Mesh(puffGeometry, cloudMaterial);
+            puff.position.set(j * 2.2 - puffs, Math.random() * 1.2, Math.random() * 1.5);
+            puff.scale.set(2 + Math.random(), 1.2 + Math.random() * 0.6, 1.5);
+            cloud.add(puff);
+        }
+        cloud.position.set((Math.random() - 0.5) * 120, 4 + Math.random() * 6, -40 - Math.random() * 40);
+        cloud.userData.speed = 0.5 + Math.random();
+        cloudGroup.add(cloud);
+    }
+    scene.add(cloudGroup);
+}
+
+function updateClouds(deltaTime) {
+    cloudMaterial.opacity = weatherLook.clouds * 0.85;
+    cloudMaterial.color.setScalar(1 - weatherLook.rain * 0.5); // Rain clouds are darker
+    cloudGroup.visible = cloudMaterial.opacity > 0.01;
+    cloudGroup.children.forEach(cloud => {
+        cloud.position.x += (cloud.userData.speed + weatherLook.wind) * deltaTime;
+        if (cloud.position.x > 60) cloud.position.x -= 120;
+    });
+}
+
+
+// Time of day as a clock, with sunrise at 6:00
+function updateClockDisplay() {
+    if (!clientState.dayCycle) {
+        timeOfDayDisplay.textContent = '';
+        return;
+    }
+    const { progress, isNight } = getTimeOfDay();
+    const minutesOfDay = Math.floor((6 * 60 + progress * 24 * 60) % (24 * 60));
+    const clock = `${Math.floor(minutesOfDay / 60)}:${(minutesOfDay % 60).toString().padStart(2, '0')}`;
+    timeOfDayDisplay.textContent = isNight ? `Night, ${clock} - flowers grow slowly, moonflowers thrive` : `Day, ${clock}`;
+}
+
+// --- Round Lifecycle ---
+function isPlaying() {
+    return clientState.phase.phase === 'playing';
+}
+
+function isReady() {
+    return clientState.phase.readyPlayers.includes(myPlayerId);
+}
+
+function toggleReady() {
+    const { phase } = clientState.phase;
+    if (!socket || !socket.connected || (phase !== 'lobby' && phase !== 'countdown')) return;
+    socket.emit('setReady', { ready: !isReady() });
+}
+
+function formatTime(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// --- Chat & Emotes ---
+function setupChat() {
+    chatInput.addEventListener('keydown', (event) => {
+        if (event.code === 'Enter') {
+            const text = chatInput.value.trim();
+            if (text && socket && socket.connected) {
+                socket.emit('chatMessage', { text });
+            }
+            chatInput.value = '';
+            chatInput.blur(); // Back to the garden
+        } else if (event.code === 'Escape') {
+            chatInput.blur();
+        }
+    });
+
+    emoteButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (socket && socket.connected) {
+                socket.emit('sendEmote', { emote: button.dataset.emote });
+            }
+            button.blur(); // Keep keyboard focus on the game
+        });
+    });
+}
+
+function addChatLine(sender, text) {
+    const line = document.createElement('div');
+    const name = document.createElement('span');
+    name.className = 'sender';
+    name.textContent = `${sender}: `;
+    line.appendChild(name);
+    line.appendChild(document.createTextNode(text)); // Never as HTML
+    chatLog.appendChild(line);
+    while (chatLog.children.length > MAX_CHAT_LINES) {
+        chatLog.removeChild(chatLog.firstChild);
+    }
+    chatLog.scrollTop = chatLog.scrollHeight;
+}
+
+function getEmoteTexture(emote) {
+    if (!emoteTextures[emote]) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        const label = EMOTE_LABELS[emote];
+        context.font = '48px sans-serif';
+        canvas.width = Math.ceil(context.measureText(label).width) + 16;
+        canvas.height = 64;
+        context.font = '48px sans-serif'; // Resizing the canvas resets the context
+        context.textBaseline = 'middle';
+        context.fillStyle = '#ffffff';
+        context.fillText(label, 8, 32);
+        emoteTextures[emote] = new THREE.CanvasTexture(canvas);
+    }
+    return emoteTextures[emote];
+}
+
+function showEmote(playerId, emote) {
+    const mesh = playerId === myPlayerId ? playerMesh : otherPlayers[playerId];
+    if (!mesh || !EMOTE_LABELS[emote]) return;
+
+    const texture = getEmoteTexture(emote);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+    sprite.scale.set(0.8 * texture.image.width / texture.image.height, 0.8, 1);
+    sprite.position.set(0, EMOTE_HEIGHT, 0);
+    mesh.add(sprite); // Follows the player around
+    activeEmotes.push({ sprite, mesh, startedAt: performance.now() });
+}
+
+function updateEmotes() {
+    const now = performance.now();
+    activeEmotes = activeEmotes.filter(({ sprite, mesh, startedAt }) => {
+        const progress = (now - startedAt) / EMOTE_DURATION;
+        if (progress >= 1) {
+            removeEmote(sprite, mesh);
+            return false;
+        }
+        sprite.position.y = EMOTE_HEIGHT + progress * EMOTE_RISE;
+        sprite.material.opacity = 1 - progress * progress; // Fade out towards the end
+        return true;
+    });
+}
+
+function removeEmote(sprite, mesh) {
+    mesh.remove(sprite);
+    sprite.material.dispose(); // The texture is shared and kept
+}
 
 // --- UI Update ---
 function updateUI() {
-    // Timer
-    const minutes = Math.floor(clientState.timer / 60);
-    const seconds = clientState.timer % 60;
-    timerDisplay.textContent = `Time: ${minutes}:${seconds.toString().padStart(2, '0')}`;
+    // Room code
+    roomCodeDisplay.textContent = clientState.roomCode ? `Garden: ${clientState.roomCode}` : '';
+
+    // Timer (before a round starts, show how long it will be)
+    const { phase, secondsLeft, roundDuration, readyPlayers } = clientState.phase;
+    timerDisplay.textContent = isPlaying()
+        ? `Time: ${formatTime(clientState.timer)}`
+        : `Round length: ${formatTime(roundDuration)}`;
+
+    // Phase and ready-check
+    const playerCount = Object.keys(otherPlayers).length + (myPlayerId ? 1 : 0);
+    switch (phase) {
+        case 'lobby':
+            phaseDisplay.textContent = `Lobby - ${readyPlayers.length}/${playerCount} ready (press R)`;
+            break;
+        case 'countdown':
+            phaseDisplay.textContent = `Starting in ${secondsLeft}...`;
+            break;
+        case 'results':
+            phaseDisplay.textContent = `Round over - back to the lobby in ${secondsLeft}`;
+            break;
+        default:
+            phaseDisplay.textContent = 'Round in progress';
+    }
+    readyButton.classList.toggle('hidden', phase !== 'lobby' && phase !== 'countdown');
+    readyButton.textContent = isReady() ? 'Not ready' : 'Ready';
+
+    // Spectators
+    spectatorsDisplay.textContent = spectating
+        ? `Spectators: ${clientState.spectators} (including you) - drag to look around, scroll to zoom, WASD to move`
+        : `Spectators: ${clientState.spectators}`;
+    spectatorsDisplay.classList.toggle('hidden', !clientState.roomCode || (!spectating && !clientState.spectators));
 
     // Resources
-    resourcesDisplay.textContent = `Petals: ${clientState.resources.petals} | Water: ${clientState.resources.water}`;
+    const items = Object.keys(clientState.recipes)
+        .filter(itemId => clientState.resources[itemId] > 0)
+        .map(itemId => ` | ${clientState.recipes[itemId].name}: ${clientState.resources[itemId]}`)
+        .join('');
+    resourcesDisplay.textContent = `Petals: ${clientState.resources.petals} | Water: ${clientState.resources.water}${items}`
+        + (clientState.resources.fertiliser > 0 ? ' (F to fertilise)' : '');
+
+    // Crafting buttons light up when we have the ingredients
+    craftingPanel.querySelectorAll('button').forEach(button => {
+        button.disabled = !isPlaying() || !canAfford(clientState.recipes[button.dataset.item].ingredients);
+    });
 
-    // Weather
-    weatherDisplay.textContent = `Weather: ${clientState.weather}`;
+    // Weather and what's coming
+    const { forecast } = clientState;
+    let weatherText = `Weather: ${clientState.weather}`;
+    if (forecast && forecast.upcoming.length) {
+        const [next, ...later] = forecast.upcoming;
+        weatherText += ` - ${next.weather} in ${formatTime(forecast.secondsLeft)}`;
+        if (later.length) weatherText += `, then ${later.map(entry => entry.weather).join(', ')}`;
+    }
+    weatherDisplay.textContent = weatherText;
+    updateClockDisplay();
+
+    // Selected seed
+    const species = clientState.species[clientState.selectedSpecies];
+    speciesDisplay.textContent = species
+        ? `Seed: ${species.name} (${formatCost(species.cost)}) - keys 1-${Object.keys(clientState.species).length} to switch`
+        : '';
     
     // Clear previous messages if needed
     // messageDisplay.textContent = ''; // Clear general messages unless there's a persistent one
 }
 
+// --- End-of-Round Results ---
+function showResults({ message, summary }) {
+    resultsMessage.textContent = message;
+
+    resultsHighlights.innerHTML = '';
+    summary.highlights.forEach(highlight => {
+        const item = document.createElement('li');
+        item.textContent = `${highlight.title}: ${playerLabel(highlight.playerId)} (${highlight.value})`;
+        resultsHighlights.appendChild(item);
+    });
+
+    resultsTableBody.innerHTML = '';
+    summary.players.forEach(player => {
+        const row = document.createElement('tr');
+        if (player.id === myPlayerId) row.classList.add('me');
+        [playerLabel(player.id), player.resourcesCollected, player.seedsPlanted, player.nurturesGiven, player.flowersBloomed, player.score]
+            .forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+        resultsTableBody.appendChild(row);
+    });
+    if (summary.players.length === 0) {
+        resultsTableBody.innerHTML = '<tr><td colspan="6">Nobody tended the garden this round.</td></tr>';
+    }
+
+    resultsScreen.classList.remove('hidden');
+}
+
+function playerLabel(playerId) {
+    const profile = playerProfiles[playerId];
+    const name = profile ? profile.name : `Gardener ${playerId.slice(-4)}`; // Left before we saw them
+    return playerId === myPlayerId ? `${name} (you)` : name;
+}
+
+
+// --- Replay ---
+// Plays back a round recorded by the server (RECORD_MATCHES): the garden as the round started,
+// then every snapshot at the server time it was sent. Snapshots go through applySnapshot(), so
+// the scene updates exactly as it did live. Seeking back starts over from the beginning.
+function setupReplay() {
+    replayFileInput.addEventListener('change', async () => {
+        const file = replayFileInput.files[0];
+        replayFileInput.value = ''; // So picking the same file again still loads it
+        if (!file) return;
+        try {
+            startReplay(parseRecording(await file.text()));
+        } catch (err) {
+            console.error('Could not load recording:', err);
+            joinErrorDisplay.textContent = `Could not load recording: ${err.message}`;
+        }
+    });
+    replayPlayButton.addEventListener('click', toggleReplayPlayback);
+    replaySeek.addEventListener('input', () => seekReplay(replay.header.startTime + Number(replaySeek.value)));
+    replaySpeedSelect.addEventListener('change', () => {
+        replay.speed = Number(replaySpeedSelect.value);
+        replaySpeedSelect.blur(); // Keep Space for play and pause
+    });
+    replayExitButton.addEventListener('click', stopReplay);
+}
+
+// One JSON object per line: the header, then the snapshots
+function parseRecording(text) {
+    const [header, ...frames] = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    if (!header || header.format !== RECORDING_FORMAT) {
+        throw new Error('not a Pixel Petals recording');
+    }
+    return { header, frames };
+}
+
+function startReplay({ header, frames }) {
+    if (clientState.roomCode) return; // Leave the garden first
+    const endTime = frames.length ? frames[frames.length - 1].time : header.startTime;
+    replay = { header, frames, index: 0, time: header.startTime, endTime, playing: true, speed: Number(replaySpeedSelect.value) };
+
+    myPlayerId = null; // Everyone in the recording is someone else
+    joinErrorDisplay.textContent = '';
+    joinScreen.classList.add('hidden');
+    replayControls.classList.remove('hidden');
+    replaySeek.max = endTime - header.startTime;
+    restartReplay();
+    setWatching(true); // Once the garden is built, so the camera knows its size
+    messageDisplay.textContent = `Replay of garden ${header.roomCode}`;
+}
+
+function restartReplay() {
+    chatLog.innerHTML = '';
+    resultsScreen.classList.add('hidden');
+    loadGardenState(replay.header.state);
+    replay.index = 0;
+    replay.time = replay.header.startTime;
+}
+
+function stopReplay() {
+    replay = null;
+    clearWorld();
+    chatLog.innerHTML = '';
+    messageDisplay.textContent = '';
+    setWatching(false);
+    resultsScreen.classList.add('hidden');
+    replayControls.classList.add('hidden');
+    joinScreen.classList.remove('hidden');
+    updateUI();
+}
+
+function toggleReplayPlayback() {
+    if (!replay) return;
+    if (!replay.playing && replay.time >= replay.endTime) {
+        restartReplay(); // Watch it again from the start
+    }
+    replay.playing = !replay.playing;
+    replayPlayButton.blur();
+}
+
+function seekReplay(time) {
+    if (time < replay.time) {
+        restartReplay();
+    }
+    replay.time = Math.min(time, replay.endTime);
+    applyReplayFrames();
+}
+
+// Applies every snapshot up to the replay's current time
+function applyReplayFrames() {
+    while (replay.index < replay.frames.length && replay.frames[replay.index].time <= replay.time) {
+        applySnapshot(replay.frames[replay.index]);
+        replay.index++;
+    }
+}
+
+function updateReplay(deltaTime) {
+    if (!replay) return;
+    if (replay.playing) {
+        replay.time = Math.min(replay.time + deltaTime * 1000 * replay.speed, replay.endTime);
+        applyReplayFrames();
+        if (replay.time >= replay.endTime) replay.playing = false;
+    }
+
+    const elapsed = replay.time - replay.header.startTime;
+    replaySeek.value = elapsed;
+    replayPlayButton.textContent = replay.playing ? 'Pause' : 'Play';
+    replayTimeDisplay.textContent = `${formatTime(Math.floor(elapsed / 1000))} / ${formatTime(Math.floor(replaySeek.max / 1000))}`;
+}
+
+// --- Orbit Camera ---
+// Spectators and replay viewers have no gardener of their own, so the camera orbits a point in
+// the garden instead: drag to turn around it, scroll to zoom, WASD / arrow keys to move it.
+function setupOrbitCamera() {
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!orbitCamera) return;
+        Object.assign(orbitCamera, { dragging: true, lastX: event.clientX, lastY: event.clientY });
+        canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!orbitCamera || !orbitCamera.dragging) return;
+        orbitCamera.yaw -= (event.clientX - orbitCamera.lastX) * ORBIT_ROTATE_SPEED;
+        orbitCamera.pitch = THREE.MathUtils.clamp(
+            orbitCamera.pitch + (event.clientY - orbitCamera.lastY) * ORBIT_ROTATE_SPEED, ORBIT_MIN_PITCH, ORBIT_MAX_PITCH);
+        orbitCamera.lastX = event.clientX;
+        orbitCamera.lastY = event.clientY;
+    });
+    canvas.addEventListener('pointerup', () => {
+        if (orbitCamera) orbitCamera.dragging = false;
+    });
+    canvas.addEventListener('wheel', (event) => {
+        if (!orbitCamera) return;
+        event.preventDefault(); // Zoom the garden, not the page
+        const maxDistance = clientState.layout.size * 2;
+        orbitCamera.distance = THREE.MathUtils.clamp(
+            orbitCamera.distance * Math.exp(event.deltaY * 0.001), ORBIT_MIN_DISTANCE, maxDistance);
+    }, { passive: false });
+}
+
+// Switches between playing (our gardener, the fixed camera) and watching (no gardener, orbit camera)
+function setWatching(watching) {
+    document.body.classList.toggle('watching', watching); // Hides the HUD parts only players use
+    playerMesh.visible = !watching;
+    keys = {};
+    if (!watching) {
+        orbitCamera = null;
+        return;
+    }
+    // Start from the same view the fixed camera has, looking at the middle of the garden
+    orbitCamera = {
+        target: new THREE.Vector3(0, 0, 0),
+        yaw: 0,
+        pitch: Math.PI / 4,
+        distance: clientState.layout.size * 0.75 * Math.SQRT2,
+        dragging: false,
+        lastX: 0,
+        lastY: 0
+    };
+}
+
+function updateOrbitCamera(deltaTime) {
+    if (!orbitCamera) return;
+
+    // Move the target relative to where the camera faces, staying over the garden
+    const move = new THREE.Vector3(0, 0, 0);
+    if (keys['KeyW'] || keys['ArrowUp']) move.z -= 1;
+    if (keys['KeyS'] || keys['ArrowDown']) move.z += 1;
+    if (keys['KeyA'] || keys['ArrowLeft']) move.x -= 1;
+    if (keys['KeyD'] || keys['ArrowRight']) move.x += 1;
+    if (move.lengthSq() > 0) {
+        move.normalize().multiplyScalar(ORBIT_PAN_SPEED * deltaTime).applyAxisAngle(new THREE.Vector3(0, 1, 0), orbitCamera.yaw);
+        const half = clientState.layout.size / 2;
+        orbitCamera.target.add(move);
+        orbitCamera.target.x = THREE.MathUtils.clamp(orbitCamera.target.x, -half, half);
+        orbitCamera.target.z = THREE.MathUtils.clamp(orbitCamera.target.z, -half, half);
+    }
+
+    const { target, yaw, pitch, distance } = orbitCamera;
+    camera.position.set(
+        target.x + Math.sin(yaw) * Math.cos(pitch) * distance,
+        target.y + Math.sin(pitch) * distance,
+        target.z + Math.cos(yaw) * Math.cos(pitch) * distance
+    );
+    camera.lookAt(target);
+}
+
 // --- Window Resize ---
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -616,15 +1908,29 @@ function onWindowResize() {
 function animate() {
     requestAnimationFrame(animate); // Request next frame
 
-    const deltaTime = clock.getDelta(); // Time since last frame
+    // Time since last frame, capped so a long pause (e.g. background tab) can't turn into one huge step
+    const deltaTime = Math.min(clock.getDelta(), MAX_FRAME_DELTA);
 
     // Update player movement based on input
+    updateReplay(deltaTime);
+    updateOrbitCamera(deltaTime);
+    applyPositionCorrection(deltaTime);
     updatePlayerMovement(deltaTime);
+    sendPositionUpdate();
+    updateRemotePlayers(deltaTime);
+    updateEmotes();
+    updateSlotHighlights();
+    applyWeatherTransition(deltaTime);
     
     // Other animations (e.g., simple bobbing for resources)
     const time = Date.now() * 0.001; // Get time for smooth animation
+     const now = performance.now();
      for (const id in resourcesOnScreen) {
-         resourcesOnScreen[id].position.y = 0.5 + Math.sin(time * 2 + resourcesOnScreen[id].id * 0.5) * 0.1; // Simple bobbing
+         const mesh = resourcesOnScreen[id];
+         mesh.position.y = 0.5 + Math.sin(time * 2 + mesh.id * 0.5) * 0.1; // Simple bobbing
+         // Blink when about to despawn
+         const expiring = isPlaying() && mesh.userData.despawnAt - now < RESOURCE_BLINK_TIME;
+         mesh.visible = !expiring || Math.floor(now / 150) % 2 === 0;
      }
 
     // Render the scene
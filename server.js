@@ -1,9 +1,21 @@
-// server.js (Additions and Modifications)
+// server.js - Serves the client and connects players to the game engine (engine.js) over Socket.IO.
 const express = require('express');
 const http = require('http');
 const { Server } = require("socket.io");
 const path = require('path');
-const { Vector3 } = require('three'); // Use THREE's Vector3 on server if needed for distance calcs
+const fs = require('fs');
+const crypto = require('crypto');
+const { performance, monitorEventLoopDelay } = require('perf_hooks');
+const {
+    TICK_INTERVAL, ROUND_DURATION, MIN_ROUND_DURATION, MAX_ROUND_DURATION,
+    PLAYER_COLORS, AVATAR_STYLES, MAX_NAME_LENGTH,
+    validateLayout, createRoom, getGardenState, createPlayer, addPlayer, removePlayer,
+    RESOURCE_TYPES, WEATHER_TYPES, STAGE_ORDER,
+    queueInput, tick, broadcast, sendToPlayer, actionResult, setPlayerReady, postChatMessage, sendEmote,
+    resetGameState, endGame, forceWeather, spawnResource, randomSpawnPosition, getWeatherForecast,
+    serializeRoom, deserializeRoom, toSavedPlayer
+} = require('./engine');
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('./metrics');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,341 +27,870 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 3000;
+const SAVE_FILE = process.env.SAVE_FILE || path.join(__dirname, 'data', 'gardens.json');
+const SAVE_INTERVAL = Number(process.env.SAVE_INTERVAL) || 30000; // ms between periodic saves
+const KEEP_IDLE_GARDENS = process.env.KEEP_IDLE_GARDENS === 'true'; // Keep empty gardens instead of closing them
+const RECONNECT_GRACE_PERIOD = Number(process.env.RECONNECT_GRACE_PERIOD) || 30000; // ms a dropped player stays in the garden
+const RECORD_MATCHES = process.env.RECORD_MATCHES === 'true'; // Record every round for the replay viewer
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, 'data', 'recordings');
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''; // The admin API is off unless this is set
 
 app.use(express.static(path.join(__dirname, 'public')));
 
-// --- Game Constants (Server Side) ---
-const GARDEN_SIZE_SERVER = 20; // Keep consistent with client
-const RESOURCE_SPAWN_RATE = 5000; // ms between spawns
-const WEATHER_CHANGE_RATE = 30000; // ms between weather changes
-const MAX_RESOURCES = 30; // Limit total resources on map
-const FLOWER_GROWTH_TIMES = { // Time units (e.g., nurture ticks) per stage
-    'seed': 1, 
-    'sprout': 2,
-    'budding': 3,
-    'bloom': Infinity // Already bloomed
-};
-const FLOWER_SLOT_POSITIONS_SERVER = [ // Needs to match client
-    { x: -5, z: -5 }, { x: 0, z: -5 }, { x: 5, z: -5 },
-    { x: -5, z: 0 },  { x: 0, z: 0 },  { x: 5, z: 0 },
-    { x: -5, z: 5 },  { x: 0, z: 5 },  { x: 5, z: 5 },
-].map((pos, index) => ({ id: `slot_${index}`, position: pos })); // Add IDs
-
-const WEATHER_TYPES = ['Sunny', 'Cloudy', 'Rainy'];
-const WEATHER_GROWTH_MODIFIERS = {
-    'Sunny': 1.0,  // Normal growth
-    'Cloudy': 0.7, // Slower growth
-    'Rainy': 1.5   // Faster growth (water helps!)
+// --- Server Constants ---
+const LAYOUTS_DIR = path.join(__dirname, 'layouts'); // Garden layouts as JSON data files
+const DEFAULT_LAYOUT_ID = process.env.DEFAULT_LAYOUT || 'classic';
+const RATE_LIMITS = { // Max events per window, per socket
+    createRoom:      { max: 3,   windowMs: 5000 },
+    joinRoom:        { max: 5,   windowMs: 5000 },
+    playerMove:      { max: 40,  windowMs: 1000 }, // Client sends at most 20 per second
+    setReady:        { max: 5,   windowMs: 1000 },
+    chatMessage:     { max: 5,   windowMs: 5000 },
+    sendEmote:       { max: 3,   windowMs: 2000 },
+    collectResource: { max: 10,  windowMs: 1000 },
+    plantFlower:     { max: 5,   windowMs: 1000 },
+    nurtureFlower:   { max: 5,   windowMs: 1000 },
+    craftItem:       { max: 5,   windowMs: 1000 }
 };
+const DEFAULT_RATE_LIMIT = { max: 10, windowMs: 1000 }; // Shared by every event not listed above
+const MAX_VIOLATIONS = 10; // Violations within VIOLATION_WINDOW before a player is disconnected
+const VIOLATION_WINDOW = 60000; // ms
+const SESSION_TOKEN_PATTERN = /^[0-9a-f]{32}$/; // What joinRoom() hands out: 16 random bytes in hex
+const MAX_SAVED_PLAYERS = 100; // Records kept per garden of players who left, the longest gone forgotten first
+const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No easily confused characters (I/1, O/0)
+const MAX_ADMIN_SPAWN = 20; // Most resources one admin request can spawn
+
+// --- Garden Layouts ---
+// Each file in LAYOUTS_DIR defines a garden: its size, flower slots, spawn zones and obstacles.
+// The layout is sent to clients in 'initialState', so both sides always build the same garden.
+const layouts = loadLayouts(); // { layoutId: layout }
+
+function loadLayouts() {
+    const loaded = {};
+    fs.readdirSync(LAYOUTS_DIR).filter(file => file.endsWith('.json')).sort().forEach(file => {
+        try {
+            const layout = JSON.parse(fs.readFileSync(path.join(LAYOUTS_DIR, file), 'utf8'));
+            validateLayout(layout);
+            loaded[layout.id] = layout;
+        } catch (err) {
+            console.error(`Skipping invalid layout ${file}:`, err.message);
+        }
+    });
+    if (!loaded[DEFAULT_LAYOUT_ID]) {
+        throw new Error(`Default layout "${DEFAULT_LAYOUT_ID}" not found in ${LAYOUTS_DIR}`);
+    }
+    console.log(`Loaded layouts: ${Object.keys(loaded).join(', ')}`);
+    return loaded;
+}
+
+// The layout with the given id, or the default one; ids come from clients, so only own keys count
+function getLayout(layoutId) {
+    return Object.prototype.hasOwnProperty.call(layouts, layoutId) ? layouts[layoutId] : layouts[DEFAULT_LAYOUT_ID];
+}
+
+// --- Rooms ---
+// The engine holds each garden's game state; the server adds who is connected to it.
+let rooms = {}; // { roomCode: room } - see openRoom() and the engine's createRoom() for the shape of a room
+
+function openRoom(room) {
+    return Object.assign(room, {
+        sessionTokens: Object.create(null), // { playerId: token } - kept apart from players since players get broadcast
+        savedPlayers: Object.create(null), // { token: player } - players who left, waiting for them to rejoin with their token
+        connections: {}, // { playerId: socketId } - the live socket for each player
+        disconnectTimers: {}, // { playerId: timeout } - players who dropped and may still reconnect
+        spectators: new Set(), // Socket ids watching the garden without playing, see spectateRoom()
+        tickInterval: null, // The room's fixed-rate simulation loop, see runTick()
+        lastTickAt: null, // performance.now() of the loop's previous tick, for the tick interval metric
+        recording: null // { file, fd } - the round being recorded, see startRecording()
+    });
+}
+
+function generateRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+        }
+    } while (rooms[code]); // Avoid collisions with live rooms
+    return code;
+}
+
+function normalizeRoomCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
 
-// --- Game State (Server Side - More Detailed) ---
-let players = {}; // { socketId: { id, position, resources: { petals, water } } }
-let resources = {}; // { resourceId: { id, type, position } } - Use object for easy ID lookup
-let flowers = {}; // { slotId: { slotId, stage, plantedBy, nurtureProgress } }
-let gameTimer = 1800;
-let weather = 'Sunny';
-let resourceSpawnInterval;
-let weatherChangeInterval;
-let gameTimerInterval;
-let nextResourceId = 0; // Simple way to generate unique IDs
+function getPlayerSocket(room, playerId) {
+    return io.sockets.sockets.get(room.connections[playerId]);
+}
 
 
 // --- Socket.IO Connection Handling ---
 io.on('connection', (socket) => {
     console.log('A user connected:', socket.id);
 
-    // Initialize player state on server
-    players[socket.id] = {
-        id: socket.id,
-        // Random starting position within bounds
-        position: { 
-             x: (Math.random() - 0.5) * (GARDEN_SIZE_SERVER * 0.8), 
-             y: 0.5, 
-             z: (Math.random() - 0.5) * (GARDEN_SIZE_SERVER * 0.8) 
-        }, 
-        resources: { petals: 0, water: 0 }
-    };
+    // Per-socket rate limiting, applied to every incoming event before its handler runs
+    socket.data.rateWindows = new Map(); // eventName -> { start, count }
+    socket.data.violations = []; // Timestamps of recent violations
+    socket.use((packet, next) => {
+        const [event, , requestId] = packet; // Actions carry a request id after their data
+        if (!socket.connected) return; // Already kicked; ignore anything still buffered
+        socketEventsReceived.inc({ event: metricEventName(event) });
+        if (isRateLimited(socket, event, Date.now())) {
+            recordViolation(socket, `rate limit exceeded for ${event}`);
+            answerAction(socket, event, requestId, actionResult('RATE_LIMITED'));
+            return; // Drop the event
+        }
+        if (socket.data.spectator) {
+            // Spectators only watch: no moving, actions, chat or getting ready
+            answerAction(socket, event, requestId, actionResult('NOT_PLAYING', 'Spectators can only watch'));
+            return;
+        }
+        next();
+    });
 
-    // Send initial game state to the newly connected player
-    socket.emit('initialState', {
-        playerId: socket.id,
-        players,
-        resources: Object.values(resources), // Send array of resources
-        flowers,
-        timer: gameTimer,
-        weather
+    // The player only enters a garden after creating or joining a room
+    socket.emit('availableLayouts', Object.values(layouts).map(({ id, name }) => ({ id, name })));
+    socket.emit('profileOptions', { colors: PLAYER_COLORS, avatars: AVATAR_STYLES, maxNameLength: MAX_NAME_LENGTH });
+
+    socket.on('createRoom', (data) => {
+        if (socket.data.roomCode) return; // Already in a garden
+
+        const layout = getLayout(data && data.layoutId);
+        const requestedDuration = Math.round(Number(data && data.roundDuration));
+        const roundDuration = requestedDuration >= MIN_ROUND_DURATION && requestedDuration <= MAX_ROUND_DURATION
+            ? requestedDuration
+            : ROUND_DURATION;
+        const code = generateRoomCode();
+        rooms[code] = openRoom(createRoom(code, layout, roundDuration));
+        console.log(`Room ${code} (${layout.id}) created by ${socket.id}`);
+        joinRoom(socket, rooms[code], null, data && data.profile);
     });
 
-    // Broadcast new player to others (excluding the sender)
-    socket.broadcast.emit('playerJoined', players[socket.id]);
+    socket.on('joinRoom', (data) => {
+        if (socket.data.roomCode) return; // Already in a garden
 
-    // --- Event Handlers ---
-    
-    socket.on('playerMove', (position) => {
-        if (players[socket.id]) {
-            // Optional: Add server-side validation/bounds checking here
-            players[socket.id].position = position;
-            socket.broadcast.emit('playerMoved', { id: socket.id, position });
+        const code = normalizeRoomCode(data && data.code);
+        const room = rooms[code];
+        if (!room) {
+            socket.emit('joinFailed', { reason: `No garden found with code "${code}".` });
+            return;
         }
+        joinRoom(socket, room, data && data.sessionToken, data && data.profile);
     });
 
-    socket.on('collectResource', (resourceId) => {
-        const player = players[socket.id];
-        const resource = resources[resourceId];
+    socket.on('spectateRoom', (data) => {
+        if (socket.data.roomCode) return; // Already in a garden
 
-        if (!player || !resource) return; // Ignore if player or resource doesn't exist
+        const code = normalizeRoomCode(data && data.code);
+        const room = rooms[code];
+        if (!room) {
+            socket.emit('joinFailed', { reason: `No garden found with code "${code}".` });
+            return;
+        }
+        spectateRoom(socket, room);
+    });
 
-        // Optional: Server-side distance check (prevent cheating)
-        // const playerPos = new Vector3(player.position.x, player.position.y, player.position.z);
-        // const resourcePos = new Vector3(resource.position.x, resource.position.y, resource.position.z);
-        // if (playerPos.distanceTo(resourcePos) > 2.0) { // Allow slightly larger distance than client check
-        //     console.log(`Player ${socket.id} too far to collect ${resourceId}`);
-        //     return; 
-        // }
+    // --- Event Handlers ---
+    // Player inputs are queued and applied in order on the room's next simulation tick.
+    socket.on('playerMove', (position) => queuePlayerInput(socket, 'playerMove', position));
+    // Actions carry a request id; their actionResult() comes back with it, see answerAction()
+    socket.on('collectResource', (resourceId, requestId) => queuePlayerInput(socket, 'collectResource', resourceId, requestId));
+    socket.on('plantFlower', (data, requestId) => queuePlayerInput(socket, 'plantFlower', data, requestId));
+    socket.on('nurtureFlower', (data, requestId) => queuePlayerInput(socket, 'nurtureFlower', data, requestId));
+    socket.on('craftItem', (data, requestId) => queuePlayerInput(socket, 'craftItem', data, requestId));
+
+    socket.on('setReady', (data) => {
+        const room = rooms[socket.data.roomCode];
+        const player = room && room.players[socket.data.playerId];
+        if (player) {
+            setPlayerReady(room, player, Boolean(data && data.ready));
+        }
+    });
 
-        console.log(`Player ${socket.id} collected resource ${resourceId}`);
+    socket.on('chatMessage', (data) => {
+        const room = rooms[socket.data.roomCode];
+        if (room) {
+            postChatMessage(room, socket.data.playerId, data && data.text);
+        }
+    });
 
-        // Add resource to player inventory
-        if (resource.type === 'petal') {
-            player.resources.petals++;
-        } else {
-            player.resources.water++;
+    socket.on('sendEmote', (data) => {
+        const room = rooms[socket.data.roomCode];
+        if (room) {
+            sendEmote(room, socket.data.playerId, data && data.emote);
         }
+    });
 
-        // Remove resource from world state
-        delete resources[resourceId];
+    socket.on('disconnect', () => {
+        console.log('User disconnected:', socket.id);
+        const room = rooms[socket.data.roomCode];
+        if (room && socket.data.spectator) {
+            stopSpectating(socket, room);
+        } else if (room) {
+            startReconnectGrace(socket, room);
+        }
+    });
+});
 
-        // Notify the collecting player of their updated resources
-        socket.emit('updatePlayerResources', player.resources);
+// --- Room Membership ---
+function joinRoom(socket, room, sessionToken, profile) {
+    const token = typeof sessionToken === 'string' && SESSION_TOKEN_PATTERN.test(sessionToken) ? sessionToken : null;
+    const activePlayerId = token && findPlayerIdByToken(room, token);
+    let player;
+
+    if (activePlayerId) {
+        // Still in the garden (e.g. reconnecting after a Wi-Fi blip) - resume the same session
+        player = room.players[activePlayerId];
+        takeOverSession(room, activePlayerId);
+        console.log(`Player ${player.id} resumed their session in room ${room.code}`);
+    } else if (token && room.savedPlayers[token]) {
+        // Returning players get their saved record (inventory, position) back
+        player = room.savedPlayers[token];
+        delete room.savedPlayers[token];
+        console.log(`Player ${player.id} rejoined room ${room.code}`);
+    } else {
+        sessionToken = crypto.randomBytes(16).toString('hex');
+        player = createPlayer(room);
+        console.log(`Player ${player.id} joined room ${room.code}`);
+    }
+    // Everyone else hears about the new player in the next snapshot
+    addPlayer(room, player, profile, Boolean(activePlayerId));
+    room.sessionTokens[player.id] = sessionToken;
+    room.connections[player.id] = socket.id;
+    socket.join(room.code);
+    socket.data.roomCode = room.code;
+    socket.data.playerId = player.id;
+
+    // Start the game loop if this is the first player
+    if (!room.tickInterval) {
+        startGameLoop(room);
+        console.log(`[${room.code}] First player joined. Starting game loops.`);
+    }
 
-        // Notify all players that the resource was removed
-        io.emit('resourceRemoved', resourceId);
+    // Send initial game state to the newly connected player
+    socket.emit('initialState', {
+        roomCode: room.code,
+        playerId: player.id,
+        sessionToken, // Secret - lets this player reclaim their record later
+        spectators: room.spectators.size,
+        ...getGardenState(room)
     });
-    
-    socket.on('plantFlower', (data) => {
-        const player = players[socket.id];
-        const slotId = data.slotId;
-
-        if (!player || !slotId || flowers[slotId] || player.resources.petals <= 0) {
-            console.log(`Player ${socket.id} failed to plant at ${slotId}. Conditions not met.`);
-             // Optionally send a failure message back to the player
-             // socket.emit('actionFailed', { reason: "Cannot plant here or insufficient petals." });
-            return;
-        }
-        
-        // Optional: Server-side distance check to the slot position
-        const slot = FLOWER_SLOT_POSITIONS_SERVER.find(s => s.id === slotId);
-        if(!slot) {
-             console.error(`Slot ${slotId} not found on server.`);
-             return;
-        }
-        // const playerPos = new Vector3(player.position.x, player.position.y, player.position.z);
-        // const slotPos = new Vector3(slot.position.x, 0, slot.position.z);
-        // if (playerPos.distanceTo(slotPos) > 3.0) { // Planting range check
-        //      console.log(`Player ${socket.id} too far to plant at ${slotId}`);
-        //      return;
-        // }
-
-        console.log(`Player ${socket.id} planted a seed at ${slotId}`);
-
-        // Deduct resource
-        player.resources.petals--;
-
-        // Create flower state
-        flowers[slotId] = {
-            slotId: slotId,
-            stage: 'seed',
-            plantedBy: socket.id, // Track who planted it (for potential scoring or effects)
-            nurtureProgress: 0 // How many times it's been nurtured towards next stage
-        };
-
-        // Notify planting player of resource change
-        socket.emit('updatePlayerResources', player.resources);
-        
-        // Notify all players about the new flower
-        io.emit('flowerPlanted', flowers[slotId]); 
+}
+
+// Spectators get the garden and every snapshot, but no gardener. They're never in room.players,
+// so they don't start or keep the game loop running, count in the ready check or get saved.
+function spectateRoom(socket, room) {
+    room.spectators.add(socket.id);
+    socket.join(room.code);
+    socket.data.roomCode = room.code;
+    socket.data.spectator = true;
+    console.log(`[${room.code}] ${socket.id} is spectating`);
+
+    socket.emit('initialState', {
+        roomCode: room.code,
+        playerId: null,
+        spectator: true,
+        spectators: room.spectators.size,
+        ...getGardenState(room)
     });
-    
-    socket.on('nurtureFlower', (data) => {
-        const player = players[socket.id];
-        const slotId = data.slotId;
-        const flower = flowers[slotId];
-
-        if (!player || !flower || flower.stage === 'bloom' || player.resources.water <= 0) {
-             console.log(`Player ${socket.id} failed to nurture ${slotId}. Conditions not met.`);
-             // socket.emit('actionFailed', { reason: "Cannot nurture this flower or insufficient water." });
-            return;
-        }
-        
-        // Optional: Server-side distance check
-        // ... (similar distance check as planting) ...
-
-        console.log(`Player ${socket.id} nurtured flower at ${slotId}`);
-        
-        // Deduct resource
-        player.resources.water--;
-        
-        // Apply nurture progress, considering weather
-        const modifier = WEATHER_GROWTH_MODIFIERS[weather] || 1.0;
-        flower.nurtureProgress += (1 * modifier); // Base progress of 1, modified by weather
-
-        // Check if flower grows to the next stage
-        let grown = false;
-        const requiredProgress = FLOWER_GROWTH_TIMES[flower.stage];
-        
-        if (flower.nurtureProgress >= requiredProgress) {
-            grown = true;
-            flower.nurtureProgress = 0; // Reset progress for next stage
-            switch (flower.stage) {
-                case 'seed':   flower.stage = 'sprout'; break;
-                case 'sprout': flower.stage = 'budding'; break;
-                case 'budding':flower.stage = 'bloom'; break;
-                // Bloom stage is terminal
-            }
-            console.log(`Flower ${slotId} grew to stage: ${flower.stage}`);
-        }
+    announceSpectators(room);
+}
+
+function stopSpectating(socket, room) {
+    room.spectators.delete(socket.id);
+    socket.leave(room.code);
+    socket.data.roomCode = null;
+    socket.data.spectator = false;
+    announceSpectators(room);
+}
+
+// Goes out with the next snapshot, or straight away if nobody's playing (see sendIfIdle())
+function announceSpectators(room) {
+    broadcast(room, 'spectatorCount', room.spectators.size);
+    sendIfIdle(room);
+}
+
+function findPlayerIdByToken(room, token) {
+    return Object.keys(room.sessionTokens).find(playerId => room.sessionTokens[playerId] === token);
+}
+
+// Moves a player's session onto a new socket: cancels any pending removal and drops
+// the old socket, which the server may not have noticed is dead yet.
+function takeOverSession(room, playerId) {
+    clearTimeout(room.disconnectTimers[playerId]);
+    delete room.disconnectTimers[playerId];
+
+    const oldSocket = getPlayerSocket(room, playerId);
+    if (oldSocket) {
+        oldSocket.data.roomCode = null; // So its disconnect doesn't start a grace period
+        oldSocket.data.playerId = null;
+        oldSocket.leave(room.code);
+        oldSocket.disconnect(true);
+    }
+}
 
-        // Notify nurturing player of resource change
-        socket.emit('updatePlayerResources', player.resources);
-        
-        // Notify all players if the flower grew
-        if (grown) {
-             io.emit('flowerGrown', flower);
+// A dropped player stays in the garden for RECONNECT_GRACE_PERIOD before being removed.
+function startReconnectGrace(socket, room) {
+    const playerId = socket.data.playerId;
+    socket.data.roomCode = null;
+    socket.data.playerId = null;
+    if (!room.players[playerId]) return;
+
+    delete room.connections[playerId];
+    console.log(`[${room.code}] Holding player ${playerId} for ${RECONNECT_GRACE_PERIOD}ms in case they reconnect.`);
+    room.disconnectTimers[playerId] = setTimeout(() => leaveRoom(room, playerId), RECONNECT_GRACE_PERIOD);
+}
+
+// savedPlayers keeps the order players left in (rejoining takes a record out), so the oldest come first
+function forgetOldSavedPlayers(room) {
+    const tokens = Object.keys(room.savedPlayers);
+    tokens.slice(0, tokens.length - MAX_SAVED_PLAYERS).forEach(token => delete room.savedPlayers[token]);
+}
+
+function leaveRoom(room, playerId) {
+    // Remove player from the garden, keeping their record in case they come back
+    const player = removePlayer(room, playerId);
+    if (player) {
+        room.savedPlayers[room.sessionTokens[playerId]] = toSavedPlayer(player);
+        forgetOldSavedPlayers(room);
+    }
+    delete room.sessionTokens[playerId];
+    delete room.connections[playerId];
+    clearTimeout(room.disconnectTimers[playerId]);
+    delete room.disconnectTimers[playerId];
+    closeIfEmpty(room);
+}
+
+// Once the last player is gone the garden stops, and closes unless KEEP_IDLE_GARDENS is set
+function closeIfEmpty(room) {
+    if (rooms[room.code] !== room) return; // Already closed
+    if (Object.keys(room.players).length === 0) {
+        stopGameLoop(room);
+        room.outbox = []; // Nobody left to send it to
+        room.playerOutbox = [];
+        if (KEEP_IDLE_GARDENS) {
+            console.log(`[${room.code}] No players left. Keeping idle garden.`);
         } else {
-             // Optionally, send a confirmation that nurture happened but didn't cause growth yet
-             // io.emit('flowerNurtured', { slotId: slotId, progress: flower.nurtureProgress }); // Less common
+            // Clean up the empty garden; other rooms keep running untouched
+            room.spectators.forEach(socketId => {
+                const socket = io.sockets.sockets.get(socketId);
+                if (socket) {
+                    socket.emit('joinFailed', { reason: 'Everyone has left the garden.' }); // Back to the join screen
+                    stopSpectating(socket, room);
+                }
+            });
+            delete rooms[room.code];
+            console.log(`[${room.code}] No players left. Room closed.`);
         }
+    }
+}
+
+// --- Player Inputs ---
+function queuePlayerInput(socket, type, data, requestId) {
+    const room = rooms[socket.data.roomCode];
+    if (!room) {
+        answerAction(socket, type, requestId, actionResult('NOT_PLAYING', 'Join a garden first'));
+        return;
+    }
+    queueInput(room, socket.data.playerId, type, data, result => answerAction(socket, type, requestId, result));
+}
+
+// Answers an action with an 'actionResult' (if the client gave a request id to match it by),
+// counting it when it's turned down. Players get it in their part of the next snapshot; a socket
+// outside any garden has no snapshots coming, so gets it straight away.
+function answerAction(socket, event, requestId, result) {
+    if (!result.ok) {
+        rejectedActions.inc({ event: metricEventName(event), code: result.code });
+    }
+    if (!Number.isInteger(requestId)) return;
+
+    const room = rooms[socket.data.roomCode];
+    if (room && socket.data.playerId) {
+        sendToPlayer(room, socket.data.playerId, 'actionResult', { requestId, ...result });
+    } else {
+        socket.emit('actionResult', { requestId, ...result });
+    }
+}
+
+// --- Abuse Protection ---
+// Event names come from the client: any not listed in RATE_LIMITS share one window, so
+// making names up can't dodge the limit (or pile up windows)
+function isRateLimited(socket, event, now) {
+    const listed = Object.prototype.hasOwnProperty.call(RATE_LIMITS, event);
+    const limit = listed ? RATE_LIMITS[event] : DEFAULT_RATE_LIMIT;
+    const key = listed ? event : '*';
+    let window = socket.data.rateWindows.get(key);
+    if (!window || now - window.start >= limit.windowMs) {
+        window = { start: now, count: 0 };
+        socket.data.rateWindows.set(key, window);
+    }
+    window.count++;
+    return window.count > limit.max;
+}
+
+// Counts a cheating/abuse violation; repeat offenders get disconnected.
+function recordViolation(socket, reason) {
+    const now = Date.now();
+    socket.data.violations = socket.data.violations.filter(time => now - time < VIOLATION_WINDOW);
+    socket.data.violations.push(now);
+    console.log(`Violation by ${socket.id} (${socket.data.violations.length}/${MAX_VIOLATIONS}): ${reason}`);
+
+    if (socket.data.violations.length >= MAX_VIOLATIONS && socket.connected) {
+        console.log(`Disconnecting ${socket.id} for repeated violations.`);
+        socket.emit('kicked', { reason: 'Too many invalid actions.' });
+        socket.disconnect(true);
+    }
+}
+
+// --- Admin API ---
+// REST endpoints under /api for watching and running gardens without reading the logs.
+// Every request needs "Authorization: Bearer <ADMIN_TOKEN>". Actions change the garden between
+// ticks, so whatever they broadcast goes out with the room's next snapshot. Errors come back
+// as JSON too: { error }.
+const api = express.Router();
+api.use(requireAdmin); // Before parsing, so nobody without the token gets to send us bodies
+api.use(express.json());
+
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        res.status(503).json({ error: 'The admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+        return;
+    }
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const given = Buffer.from(scheme === 'Bearer' && token ? token : '');
+    const expected = Buffer.from(ADMIN_TOKEN);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        res.status(401).json({ error: 'Missing or wrong admin token.' });
+        return;
+    }
+    next();
+}
+
+// Every room route below gets the room as req.room
+api.param('code', (req, res, next, code) => {
+    req.room = rooms[normalizeRoomCode(code)];
+    if (!req.room) {
+        res.status(404).json({ error: `No garden found with code "${code}".` });
+        return;
+    }
+    next();
+});
+
+function describeRoom(room) {
+    return {
+        code: room.code,
+        layoutId: room.layout.id,
+        phase: room.phase,
+        timer: room.gameTimer,
+        weather: room.weather,
+        playerCount: Object.keys(room.players).length,
+        spectatorCount: room.spectators.size,
+        flowerCount: Object.keys(room.flowers).length,
+        resourceCount: Object.keys(room.resources).length,
+        running: Boolean(room.tickInterval)
+    };
+}
+
+// A running garden sends the action's events with its next snapshot; an idle one (which may
+// still have spectators) sends them now
+function finishAdminAction(room, res, result) {
+    sendIfIdle(room);
+    res.json({ ...result, room: describeRoom(room) });
+}
+
+api.get('/rooms', (req, res) => {
+    res.json({ rooms: Object.values(rooms).map(describeRoom) });
+});
+
+api.get('/rooms/:code', (req, res) => {
+    const room = req.room;
+    const players = Object.values(room.players).map(player => ({ ...player, connected: Boolean(room.connections[player.id]) }));
+    res.json({
+        ...describeRoom(room),
+        roundDuration: room.roundDuration,
+        players,
+        flowers: Object.values(room.flowers),
+        resources: Object.values(room.resources),
+        forecast: getWeatherForecast(room)
     });
+});
+
+api.post('/rooms/:code/weather', (req, res) => {
+    const { weather, duration } = req.body || {};
+    if (!WEATHER_TYPES.includes(weather)) {
+        res.status(400).json({ error: `weather must be one of: ${WEATHER_TYPES.join(', ')}` });
+        return;
+    }
+    if (duration !== undefined && !(Number.isInteger(duration) && duration > 0)) {
+        res.status(400).json({ error: 'duration must be a whole number of seconds' });
+        return;
+    }
+    forceWeather(req.room, weather, duration);
+    finishAdminAction(req.room, res, {});
+});
 
+api.post('/rooms/:code/reset', (req, res) => {
+    resetGameState(req.room);
+    finishAdminAction(req.room, res, {});
+});
 
-    socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
-        // Remove player from state
-        delete players[socket.id];
-        // Broadcast player disconnection
-        io.emit('playerLeft', socket.id);
-
-        if (Object.keys(players).length === 0) {
-            stopGameLoop();
-            console.log("No players left. Stopping game loops.");
-            // Reset game state fully when last player leaves?
-            resetGameState(); 
+api.post('/rooms/:code/end', (req, res) => {
+    if (req.room.phase !== 'playing') {
+        res.status(409).json({ error: 'No round is being played in this garden.' });
+        return;
+    }
+    endGame(req.room);
+    finishAdminAction(req.room, res, {});
+});
+
+// Body: { type, count = 1 } - placed by the layout's spawn zones, as normal spawns are
+api.post('/rooms/:code/resources', (req, res) => {
+    const room = req.room;
+    const { type, count = 1 } = req.body || {};
+    if (!Object.prototype.hasOwnProperty.call(RESOURCE_TYPES, type)) {
+        res.status(400).json({ error: `type must be one of: ${Object.keys(RESOURCE_TYPES).join(', ')}` });
+        return;
+    }
+    if (!(Number.isInteger(count) && count > 0 && count <= MAX_ADMIN_SPAWN)) {
+        res.status(400).json({ error: `count must be a whole number from 1 to ${MAX_ADMIN_SPAWN}` });
+        return;
+    }
+    const before = Object.keys(room.resources).length;
+    for (let i = 0; i < count; i++) {
+        const position = randomSpawnPosition(room, type);
+        if (!position) {
+            res.status(400).json({ error: `The ${room.layout.id} layout has nowhere to spawn ${type}.` });
+            return;
         }
-    });
+        spawnResource(room, type, position);
+    }
+    finishAdminAction(room, res, { spawned: Object.keys(room.resources).length - before }); // Fewer if the garden is full
+});
 
-    // Start game loops if this is the first player
-    if (Object.keys(players).length === 1 && !gameTimerInterval) {
-        startGameLoop();
-        console.log("First player joined. Starting game loops.");
-    } else if (Object.keys(players).length > 0 && !gameTimerInterval) {
-        // If server restarted but players reconnected, restart loops
-         startGameLoop();
-         console.log("Players present, restarting game loops.");
+// Takes a player out of the garden straight away. Their saved record and session token are
+// dropped too, so coming back starts them afresh rather than resuming as the kicked gardener.
+api.post('/rooms/:code/players/:playerId/kick', (req, res) => {
+    const room = req.room;
+    const playerId = req.params.playerId;
+    if (!Object.prototype.hasOwnProperty.call(room.players, playerId)) {
+        res.status(404).json({ error: `No player ${playerId} in garden ${room.code}.` });
+        return;
+    }
+    const reason = typeof (req.body && req.body.reason) === 'string' ? req.body.reason : 'Removed by an admin.';
+    const socket = getPlayerSocket(room, playerId);
+    if (socket) {
+        socket.data.roomCode = null; // Leaving now, so its disconnect doesn't start a grace period
+        socket.data.playerId = null;
+        socket.emit('kicked', { reason });
+        socket.disconnect(true);
+    }
+    console.log(`[${room.code}] Player ${playerId} kicked by an admin: ${reason}`);
+    const token = room.sessionTokens[playerId];
+    leaveRoom(room, playerId);
+    delete room.savedPlayers[token];
+    if (rooms[room.code]) {
+        finishAdminAction(room, res, {});
+    } else {
+        res.json({ closed: true }); // They were the last one here
     }
 });
 
-// --- Game Loop Functions (Server Side - Implementation) ---
-function startGameLoop() {
-    stopGameLoop(); // Ensure no duplicates run
-    resetGameState(); // Start fresh when loops begin
-    
-    console.log("Starting game loop...");
-    gameTimer = 1800; // Reset timer
-    io.emit('timerUpdate', gameTimer); // Send initial timer value
-
-    gameTimerInterval = setInterval(() => {
-        gameTimer--;
-        io.emit('timerUpdate', gameTimer); 
-        if (gameTimer <= 0) {
-            endGame();
+// Bodies that aren't valid JSON (or are too big) get their 4xx; anything else is our fault.
+// Express's default handler would answer with an HTML page and a stack trace.
+api.use((err, req, res, next) => {
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) {
+        console.error('Admin API error:', err);
+    }
+    res.status(status).json({ error: status === 500 ? 'Something went wrong.' : `Bad request: ${err.message}` });
+});
+
+app.use('/api', api);
+
+// --- Metrics ---
+// GET /metrics serves live numbers in the Prometheus text format for a local scraper.
+// Gauges are read from the rooms when scraped; counters and histograms add up as things happen.
+const TICK_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1]; // Seconds a tick takes to run
+const TICK_INTERVAL_BUCKETS = [0.09, 0.1, 0.11, 0.125, 0.15, 0.2, 0.5, 1]; // Seconds between ticks - TICK_INTERVAL (0.1s) when healthy
+const METRIC_EVENTS = new Set([...Object.keys(RATE_LIMITS), 'spectateRoom']); // Events counted by name, see metricEventName()
+
+const socketEventsReceived = createCounter('pixel_petals_socket_events_received_total',
+    'Socket.IO events received from clients, by event name', ['event']);
+const rejectedActions = createCounter('pixel_petals_rejected_actions_total',
+    'Events and actions turned down, by event name and result code', ['event', 'code']);
+const tickDurationSeconds = createHistogram('pixel_petals_tick_duration_seconds',
+    'Time taken to run one game loop tick, including sending its snapshot', TICK_BUCKETS);
+const tickIntervalSeconds = createHistogram('pixel_petals_tick_interval_seconds',
+    'Time between consecutive ticks of a room\'s game loop', TICK_INTERVAL_BUCKETS);
+
+createGauge('pixel_petals_connected_players', 'Players with a live connection to a garden',
+    () => sumOverRooms(room => Object.keys(room.connections).length));
+createGauge('pixel_petals_spectators', 'Connections watching a garden without playing',
+    () => sumOverRooms(room => room.spectators.size));
+createGauge('pixel_petals_gardens', 'Gardens open on the server, including idle ones',
+    () => Object.keys(rooms).length);
+createGauge('pixel_petals_active_games', 'Gardens whose game loop is running',
+    () => sumOverRooms(room => (room.tickInterval ? 1 : 0)));
+createGauge('pixel_petals_resources', 'Resources lying in the gardens, by type', () =>
+    Object.keys(RESOURCE_TYPES).map(type => ({
+        labels: { type },
+        value: sumOverRooms(room => Object.values(room.resources).filter(resource => resource.type === type).length)
+    })));
+createGauge('pixel_petals_flowers', 'Flowers planted in the gardens, by growth stage', () =>
+    STAGE_ORDER.map(stage => ({
+        labels: { stage },
+        value: sumOverRooms(room => Object.values(room.flowers).filter(flower => flower.stage === stage).length)
+    })));
+
+// Event loop delay over the time since the last scrape
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+createGauge('nodejs_eventloop_lag_mean_seconds', 'Mean event loop delay since the last scrape',
+    () => (eventLoopDelay.mean || 0) / 1e9); // NaN until the first sample after a reset
+createGauge('nodejs_eventloop_lag_p99_seconds', '99th percentile event loop delay since the last scrape',
+    () => eventLoopDelay.percentile(99) / 1e9);
+createGauge('nodejs_eventloop_lag_max_seconds', 'Longest event loop delay since the last scrape',
+    () => eventLoopDelay.max / 1e9);
+
+createGauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+createGauge('nodejs_heap_size_total_bytes', 'V8 heap size in bytes', () => process.memoryUsage().heapTotal);
+createGauge('nodejs_heap_size_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+createGauge('nodejs_external_memory_bytes', 'Memory used by C++ objects bound to JavaScript, in bytes',
+    () => process.memoryUsage().external);
+
+// Event names come from the client; anything the server doesn't handle is counted as 'other',
+// so made-up names can't keep adding series
+function metricEventName(event) {
+    return METRIC_EVENTS.has(event) ? event : 'other';
+}
+
+function sumOverRooms(count) {
+    return Object.values(rooms).reduce((sum, room) => sum + count(room), 0);
+}
+
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+    eventLoopDelay.reset(); // The next scrape covers only the time since this one
+});
+
+// --- Game Loop ---
+// Each room runs one fixed-rate tick of the engine, then every client gets a single
+// batched snapshot of what changed.
+function startGameLoop(room) {
+    stopGameLoop(room); // Ensure no duplicates run
+
+    console.log(`[${room.code}] Starting game loop...`);
+    broadcast(room, 'timerUpdate', room.gameTimer); // Send initial timer value
+    room.tickInterval = setInterval(() => runTick(room), TICK_INTERVAL);
+}
+
+function stopGameLoop(room) {
+    console.log(`[${room.code}] Stopping game loop.`);
+    clearInterval(room.tickInterval);
+    room.tickInterval = null;
+    room.lastTickAt = null;
+    stopRecording(room);
+    room.inputQueue = [];
+    room.movedPlayers.clear();
+}
+
+function runTick(room) {
+    const startedAt = performance.now();
+    if (room.lastTickAt !== null) {
+        tickIntervalSeconds.observe((startedAt - room.lastTickAt) / 1000);
+    }
+    room.lastTickAt = startedAt;
+
+    tick(room);
+    if (RECORD_MATCHES && room.phase === 'playing' && !room.recording) {
+        startRecording(room);
+    }
+    countViolations(room);
+    sendSnapshot(room);
+    if (room.recording && room.phase !== 'playing') {
+        stopRecording(room); // The round is over; its last frame had the results
+    }
+    tickDurationSeconds.observe((performance.now() - startedAt) / 1000);
+}
+
+// Suspicious actions the engine flagged count against the player's socket
+function countViolations(room) {
+    room.violations.forEach(({ playerId, reason }) => {
+        const socket = getPlayerSocket(room, playerId);
+        if (socket) recordViolation(socket, reason);
+    });
+    room.violations = [];
+}
+
+// One message per client per tick: moved player positions, every queued event and, for players
+// with any, a 'personal' part holding the events meant only for them (their inventory, position
+// corrections, action results). Nothing is sent on ticks where nothing changed.
+function sendSnapshot(room) {
+    const personal = new Map(); // { playerId: [eventName, data] pairs }
+    room.playerOutbox.forEach(([playerId, event, data]) => {
+        if (!personal.has(playerId)) personal.set(playerId, []);
+        personal.get(playerId).push([event, data]);
+    });
+    room.playerOutbox = [];
+    const shared = room.outbox.length > 0 || room.movedPlayers.size > 0;
+    if (!shared && personal.size === 0) return;
+
+    // Each position is stamped with the server time its move arrived, for client-side interpolation
+    const players = {};
+    room.movedPlayers.forEach(playerId => {
+        const player = room.players[playerId];
+        if (player) {
+            players[playerId] = { ...player.position, t: player.lastMoveAt };
+        }
+    });
+    const snapshot = { tick: room.tickCount, time: room.clock(), players, events: room.outbox };
+    const sentTo = [];
+    personal.forEach((events, playerId) => {
+        const socket = getPlayerSocket(room, playerId);
+        if (socket) {
+            socket.emit('snapshot', { ...snapshot, personal: events });
+            sentTo.push(socket.id);
         }
-    }, 1000);
-
-    resourceSpawnInterval = setInterval(spawnResource, RESOURCE_SPAWN_RATE);
-    weatherChangeInterval = setInterval(changeWeather, WEATHER_CHANGE_RATE);
-}
-
-function stopGameLoop() {
-    console.log("Stopping game loop intervals.");
-    clearInterval(gameTimerInterval);
-    clearInterval(resourceSpawnInterval);
-    clearInterval(weatherChangeInterval);
-    gameTimerInterval = null;
-    resourceSpawnInterval = null;
-    weatherChangeInterval = null;
-}
-
-function resetGameState() {
-     console.log("Resetting game state.");
-    // Keep players, but reset resources, flowers, timer, weather
-    resources = {};
-    flowers = {};
-    gameTimer = 1800;
-    weather = 'Sunny';
-    nextResourceId = 0;
-    // Notify clients about the reset state (except players list)
-     io.emit('gameStateReset', { 
-        resources: [], 
-        flowers: {}, 
-        timer: gameTimer, 
-        weather: weather 
     });
-    // Clients should handle 'gameStateReset' to clear their local copies
-}
-
-function endGame() {
-    console.log("Game Over!");
-    stopGameLoop();
-    // Calculate final results if needed (e.g., total flowers bloomed)
-    let finalMessage = "Time's up! Look at the beautiful garden you grew together!";
-    let fullyBloomed = 0;
-    for(const id in flowers) {
-        if (flowers[id].stage === 'bloom') {
-            fullyBloomed++;
+    if (shared) {
+        io.to(room.code).except(sentTo).emit('snapshot', snapshot);
+        if (room.recording) {
+            writeRecordingLine(room, snapshot);
         }
     }
-    finalMessage += ` You bloomed ${fullyBloomed} Love Blooms!`;
-    
-    io.emit('gameOver', { message: finalMessage }); 
-    // Consider delaying the reset or providing a "play again" mechanism
-    // setTimeout(resetGameState, 10000); // Example: Reset after 10 seconds
+    room.outbox = [];
+    room.movedPlayers.clear();
 }
 
+// A garden nobody's playing in runs no loop, so whatever it queued (e.g. for spectators, or by
+// an admin) goes out straight away instead of waiting for a tick
+function sendIfIdle(room) {
+    if (!room.tickInterval) {
+        sendSnapshot(room);
+    }
+}
 
-function spawnResource() {
-    if (Object.keys(resources).length >= MAX_RESOURCES) {
-        return; // Don't spawn if max capacity reached
+// --- Match Recording ---
+// With RECORD_MATCHES on, each round is written to RECORDINGS_DIR as JSON Lines: a header with
+// the garden as the round starts (the same state a joining player gets), then every snapshot
+// sent during the round. Snapshots hold each state change - joins, moves, spawns, plants,
+// growth, weather - stamped with the server time, so the client can play the round back.
+function startRecording(room) {
+    const startedAt = new Date(room.clock());
+    const file = path.join(RECORDINGS_DIR, `${room.code}-${startedAt.toISOString().replace(/[:.]/g, '-')}.jsonl`);
+    try {
+        fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    } catch (err) {
+        console.error(`[${room.code}] Failed to start recording:`, err.message);
+        return;
     }
-    
-    const resourceId = `res_${nextResourceId++}`;
-    const type = Math.random() < 0.6 ? 'petal' : 'water'; // 60% chance petals
-    const position = {
-        x: (Math.random() - 0.5) * GARDEN_SIZE_SERVER,
-        y: 0.5, // Spawn slightly above ground
-        z: (Math.random() - 0.5) * GARDEN_SIZE_SERVER
-    };
+    // Lines are buffered and written in the background, so a slow disk never holds up a tick
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', (err) => {
+        console.error(`[${room.code}] Failed to write recording, stopping it:`, err.message);
+        if (room.recording && room.recording.stream === stream) {
+            room.recording = null;
+        }
+    });
+    room.recording = { file, stream };
+    writeRecordingLine(room, {
+        format: 'pixel-petals-recording',
+        version: 1,
+        roomCode: room.code,
+        startTime: startedAt.getTime(),
+        state: getGardenState(room)
+    });
+    console.log(`[${room.code}] Recording round to ${file}`);
+}
 
-    const newResource = { id: resourceId, type, position };
-    resources[resourceId] = newResource;
+function writeRecordingLine(room, data) {
+    room.recording.stream.write(JSON.stringify(data) + '\n');
+}
 
-    console.log(`Spawning resource: ${type} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
-    
-    // Broadcast the new resource to all clients
-    io.emit('resourceSpawned', newResource);
+// onClosed (optional) is called once everything written so far is on disk
+function stopRecording(room, onClosed) {
+    if (!room.recording) {
+        if (onClosed) onClosed();
+        return;
+    }
+    const { file, stream } = room.recording;
+    room.recording = null;
+    stream.end((err) => {
+        if (!err) console.log(`[${room.code}] Saved recording ${file}`);
+        if (onClosed) onClosed();
+    });
 }
 
-function changeWeather() {
-    const previousWeather = weather;
-    const possibleWeathers = WEATHER_TYPES.filter(w => w !== previousWeather); // Don't pick the same weather twice
-    weather = possibleWeathers[Math.floor(Math.random() * possibleWeathers.length)];
+// --- Persistence ---
+// Gardens are saved to SAVE_FILE periodically and on shutdown, and loaded at startup,
+// so a group can keep tending the same garden across server restarts.
+function saveRoom(room) {
+    // Everyone in the garden is saved by token, alongside players who already left
+    const savedPlayers = { ...room.savedPlayers };
+    for (const playerId in room.players) {
+        savedPlayers[room.sessionTokens[playerId]] = toSavedPlayer(room.players[playerId]);
+    }
+    return { ...serializeRoom(room), savedPlayers };
+}
 
-    console.log(`Weather changed to: ${weather}`);
+function loadRoom(data) {
+    const room = openRoom(deserializeRoom(data, getLayout(data.layoutId)));
+    room.savedPlayers = Object.assign(Object.create(null), data.savedPlayers);
+    forgetOldSavedPlayers(room); // In case the file was saved with a higher limit
+    return room;
+}
 
-    // Broadcast the weather update
-    io.emit('weatherUpdate', weather);
+function saveGardens() {
+    const data = { savedAt: new Date().toISOString(), rooms: Object.values(rooms).map(saveRoom) };
+    try {
+        fs.mkdirSync(path.dirname(SAVE_FILE), { recursive: true });
+        // Write to a temp file first so a crash mid-write can't corrupt the save
+        const tempFile = `${SAVE_FILE}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(data));
+        fs.renameSync(tempFile, SAVE_FILE);
+    } catch (err) {
+        console.error('Failed to save gardens:', err.message);
+    }
+}
+
+function loadGardens() {
+    if (!fs.existsSync(SAVE_FILE)) return;
+    try {
+        const data = JSON.parse(fs.readFileSync(SAVE_FILE, 'utf8'));
+        data.rooms.forEach(roomData => {
+            const room = loadRoom(roomData);
+            rooms[room.code] = room;
+            if (!KEEP_IDLE_GARDENS) {
+                // As for players dropped by the restart, the garden waits a grace period for someone to come back
+                setTimeout(() => closeIfEmpty(room), RECONNECT_GRACE_PERIOD);
+            }
+        });
+        console.log(`Loaded ${data.rooms.length} garden(s) saved at ${data.savedAt}.`);
+    } catch (err) {
+        console.error('Failed to load saved gardens, starting fresh:', err.message);
+    }
 }
 
+function shutdown() {
+    console.log('Shutting down, saving gardens...');
+    saveGardens();
+    // Exit once every recording has been flushed to disk
+    let recordingsOpen = Object.keys(rooms).length + 1;
+    const recordingClosed = () => {
+        if (--recordingsOpen === 0) process.exit(0);
+    };
+    Object.values(rooms).forEach(room => stopRecording(room, recordingClosed));
+    recordingClosed();
+}
+
+loadGardens();
+setInterval(saveGardens, SAVE_INTERVAL);
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start the server
 server.listen(PORT, () => {
     console.log(`Server listening on *:${PORT}`);
-});
\ No newline at end of file
+});
@@ -0,0 +1,421 @@
+// Tests for the game engine, run with `npm test`. Every room here gets a fake clock and a
+// seeded random source, so spawns and weather come out the same on every run.
+const { test, describe, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine');
+const classicLayout = require('../layouts/classic.json');
+const courtyardLayout = require('../layouts/courtyard.json');
+
+engine.validateLayout(classicLayout);
+engine.validateLayout(courtyardLayout);
+mock.method(console, 'log', () => {}); // The engine logs every action; keep test output readable
+
+const MIDDAY = engine.DAY_LENGTH * 0.25;
+const MIDNIGHT = engine.DAY_LENGTH * 0.8;
+const SLOT = classicLayout.slots[0];
+
+function createTestRoom(seed = 1) {
+    const clock = { now: MIDDAY };
+    const room = engine.createRoom('TEST', classicLayout, 600, {
+        clock: () => clock.now,
+        random: engine.createRandom(seed)
+    });
+    return { room, clock };
+}
+
+// A player standing on the first slot with the given inventory
+function addTestPlayer(room, resources = {}) {
+    const player = engine.createPlayer(room);
+    engine.addPlayer(room, player, { name: 'Tester' });
+    player.position = { x: SLOT.position.x, y: 0.5, z: SLOT.position.z };
+    player.resources = { petals: 0, water: 0, ...resources };
+    return player;
+}
+
+// Queues an input, runs one tick and returns the action result it was answered with
+function act(room, player, type, data) {
+    let result;
+    engine.queueInput(room, player.id, type, data, (answer) => { result = answer; });
+    engine.tick(room);
+    return result;
+}
+
+function runFor(room, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += engine.TICK_INTERVAL) {
+        engine.tick(room);
+    }
+}
+
+function eventsNamed(room, name) {
+    return room.outbox.filter(([event]) => event === name).map(([, data]) => data);
+}
+
+describe('random numbers', () => {
+    test('the same seed gives the same sequence', () => {
+        const a = engine.createRandom(42);
+        const b = engine.createRandom(42);
+        for (let i = 0; i < 100; i++) {
+            const value = a();
+            assert.equal(value, b());
+            assert.ok(value >= 0 && value < 1);
+        }
+    });
+
+    test('seeded rooms play out identically', () => {
+        const first = createTestRoom(7).room;
+        const second = createTestRoom(7).room;
+        [first, second].forEach(room => {
+            engine.startRound(room);
+            runFor(room, 60000);
+        });
+        assert.deepEqual(engine.serializeRoom(first), engine.serializeRoom(second));
+    });
+});
+
+describe('resource spawning', () => {
+    test('resources spawn every RESOURCE_SPAWN_RATE while playing', () => {
+        const { room } = createTestRoom();
+        runFor(room, engine.RESOURCE_SPAWN_RATE);
+        assert.equal(Object.keys(room.resources).length, 0, 'nothing spawns in the lobby');
+
+        engine.startRound(room);
+        runFor(room, engine.RESOURCE_SPAWN_RATE);
+        assert.ok(Object.keys(room.resources).length > 0);
+        assert.equal(eventsNamed(room, 'resourceSpawned').length, Object.keys(room.resources).length);
+    });
+
+    test('spawns stay inside the garden and below MAX_RESOURCES', () => {
+        const { room } = createTestRoom();
+        for (let i = 0; i < 100; i++) engine.spawnResources(room);
+        const resources = Object.values(room.resources);
+        assert.equal(resources.length, engine.MAX_RESOURCES);
+        const half = classicLayout.size / 2;
+        resources.forEach(({ position }) => {
+            assert.ok(Math.abs(position.x) <= half && Math.abs(position.z) <= half);
+        });
+    });
+
+    test('zones running to the edge only spawn where players can reach', () => {
+        const room = engine.createRoom('TEST', courtyardLayout, 600, { random: engine.createRandom(1) });
+        const reach = courtyardLayout.size / 2 - 0.5; // Players are unit cubes
+        for (let i = 0; i < 200; i++) {
+            const position = engine.randomSpawnPosition(room, 'petal');
+            assert.ok(Math.abs(position.x) <= reach && Math.abs(position.z) <= reach);
+        }
+    });
+
+    test('day-only and night-only types keep to their time of day', () => {
+        const { room, clock } = createTestRoom();
+        const spawnedTypes = () => {
+            const types = new Set();
+            for (let i = 0; i < 200; i++) {
+                room.resources = {};
+                engine.spawnResources(room);
+                Object.values(room.resources).forEach(resource => types.add(resource.type));
+            }
+            return types;
+        };
+
+        clock.now = MIDDAY;
+        assert.ok(!spawnedTypes().has('moonDew'));
+        clock.now = MIDNIGHT;
+        assert.ok(!spawnedTypes().has('goldenPetal'));
+    });
+
+    test('resources despawn when their lifetime runs out', () => {
+        const { room } = createTestRoom();
+        engine.startRound(room);
+        engine.spawnResource(room, 'goldenPetal', { x: 0, y: 0.5, z: 0 });
+        runFor(room, engine.RESOURCE_TYPES.goldenPetal.lifetime * 1000);
+        assert.ok(eventsNamed(room, 'resourceDespawned').includes('res_0'));
+        assert.equal(room.resources.res_0, undefined);
+    });
+});
+
+describe('movement', () => {
+    // Sends a move every intervalMs for a second, each one step further along x than the server
+    // last accepted, and returns how far the player got
+    function moveRapidly(intervalMs, step) {
+        const { room, clock } = createTestRoom();
+        const player = addTestPlayer(room);
+        engine.startRound(room);
+        player.position = { x: -9, y: 0.5, z: 0 };
+        for (let elapsed = 0; elapsed < 1000; elapsed += intervalMs) {
+            clock.now += intervalMs;
+            engine.queueInput(room, player.id, 'playerMove', { x: player.position.x + step, y: 0.5, z: 0 });
+            engine.tick(room);
+        }
+        return { distance: player.position.x + 9, corrections: room.playerOutbox.filter(([, event]) => event === 'positionCorrection') };
+    }
+
+    test('walking at full speed is never corrected', () => {
+        const { distance, corrections } = moveRapidly(50, 5 * 0.05);
+        assert.equal(corrections.length, 0);
+        assert.ok(Math.abs(distance - 5) < 1e-9);
+    });
+
+    test('standing still doesn\'t bank a jump', () => {
+        const { room, clock } = createTestRoom();
+        const player = addTestPlayer(room);
+        engine.startRound(room);
+        player.position = { x: -9, y: 0.5, z: 0 };
+        clock.now += 5000;
+
+        // At most MAX_MOVE_INTERVAL (200ms) at full speed with its tolerance, plus the slack
+        engine.queueInput(room, player.id, 'playerMove', { x: -6, y: 0.5, z: 0 });
+        engine.tick(room);
+        assert.equal(player.position.x, -9);
+        engine.queueInput(room, player.id, 'playerMove', { x: -7.1, y: 0.5, z: 0 });
+        engine.tick(room);
+        assert.equal(player.position.x, -7.1);
+    });
+
+    test('rapid small moves can\'t beat the speed limit', () => {
+        const { distance, corrections } = moveRapidly(25, 0.5);
+        assert.ok(corrections.length > 0);
+        // A second at PLAYER_SPEED_SERVER with its tolerance, plus the slack once
+        assert.ok(distance <= 5 * 1.5 + 0.5, `covered ${distance} units in a second`);
+    });
+});
+
+describe('collecting', () => {
+    test('only picks up resources that are really lying in the garden', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room);
+        engine.startRound(room);
+
+        for (const resourceId of ['res_99', '__proto__', 'constructor', 'toString']) {
+            assert.equal(act(room, player, 'collectResource', resourceId).code, 'RESOURCE_GONE');
+        }
+        assert.deepEqual(player.resources, { petals: 0, water: 0 });
+    });
+});
+
+describe('planting', () => {
+    test('is only allowed while a round is being played', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 5 });
+        assert.equal(act(room, player, 'plantFlower', { slotId: SLOT.id }).code, 'NOT_PLAYING');
+    });
+
+    test('costs the species\' price and plants a seed', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 5, water: 5 });
+        engine.startRound(room);
+
+        const result = act(room, player, 'plantFlower', { slotId: SLOT.id, species: 'bluebell' });
+        assert.equal(result.code, 'OK');
+        assert.equal(result.slotId, SLOT.id);
+        assert.deepEqual(player.resources, { petals: 4, water: 4 });
+        assert.equal(room.flowers[SLOT.id].stage, 'seed');
+        assert.equal(room.flowers[SLOT.id].species, 'bluebell');
+        assert.deepEqual(eventsNamed(room, 'flowerPlanted'), [room.flowers[SLOT.id]]);
+        assert.ok(room.playerOutbox.some(([playerId, event]) => playerId === player.id && event === 'updatePlayerResources'));
+    });
+
+    test('rejects taken slots, unknown species and empty pockets', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 1 });
+        engine.startRound(room);
+
+        assert.equal(act(room, player, 'plantFlower', { slotId: SLOT.id, species: 'cactus' }).code, 'UNKNOWN_SPECIES');
+        assert.equal(act(room, player, 'plantFlower', { slotId: 'nowhere' }).code, 'UNKNOWN_SLOT');
+        assert.equal(act(room, player, 'plantFlower', { slotId: SLOT.id, species: 'sunflower' }).code, 'NEED_RESOURCES');
+        assert.equal(act(room, player, 'plantFlower', { slotId: SLOT.id }).code, 'OK');
+        assert.equal(act(room, player, 'plantFlower', { slotId: SLOT.id }).code, 'SLOT_TAKEN');
+    });
+
+    test('flags a violation when planting out of reach', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 1 });
+        engine.startRound(room);
+        const farSlot = classicLayout.slots[classicLayout.slots.length - 1];
+
+        assert.equal(act(room, player, 'plantFlower', { slotId: farSlot.id }).code, 'TOO_FAR');
+        assert.equal(room.violations.length, 1);
+        assert.equal(room.violations[0].playerId, player.id);
+        assert.equal(player.resources.petals, 1);
+    });
+});
+
+describe('nurturing', () => {
+    // Plants a seed of the species on the first slot and returns it
+    function plantSeed(room, player, species) {
+        const { cost } = engine.FLOWER_SPECIES[species];
+        for (const type in cost) player.resources[type] = (player.resources[type] || 0) + cost[type];
+        act(room, player, 'plantFlower', { slotId: SLOT.id, species });
+        return room.flowers[SLOT.id];
+    }
+
+    for (const weather of engine.WEATHER_TYPES) {
+        test(`progress is scaled by the species' liking for ${weather} weather`, () => {
+            const { room } = createTestRoom();
+            const player = addTestPlayer(room, { water: 1 });
+            engine.startRound(room);
+            room.weather = weather;
+            const flower = plantSeed(room, player, 'sunflower');
+
+            assert.equal(act(room, player, 'nurtureFlower', { slotId: SLOT.id }).code, 'OK');
+            const expected = engine.NURTURE_ITEMS.water.progress * engine.FLOWER_SPECIES.sunflower.weatherModifiers[weather];
+            assert.equal(flower.nurtureProgress, expected);
+        });
+    }
+
+    test('most flowers grow slower at night, moonflowers faster', () => {
+        const { room, clock } = createTestRoom();
+        const player = addTestPlayer(room, { water: 2 });
+        engine.startRound(room);
+        clock.now = MIDNIGHT;
+
+        const sunflower = plantSeed(room, player, 'sunflower');
+        act(room, player, 'nurtureFlower', { slotId: SLOT.id });
+        assert.equal(sunflower.nurtureProgress, engine.FLOWER_SPECIES.sunflower.weatherModifiers.Sunny * engine.NIGHT_GROWTH_MODIFIER);
+
+        delete room.flowers[SLOT.id];
+        const moonflower = plantSeed(room, player, 'moonflower');
+        act(room, player, 'nurtureFlower', { slotId: SLOT.id });
+        assert.equal(moonflower.stage, 'sprout', 'a night-time watering is enough for its first stage');
+    });
+
+    test('restores health and needs the item in the inventory', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room);
+        engine.startRound(room);
+        const flower = plantSeed(room, player, 'loveBloom');
+        flower.health = 30;
+
+        assert.equal(act(room, player, 'nurtureFlower', { slotId: SLOT.id }).code, 'NEED_RESOURCES');
+        player.resources.water = 1;
+        act(room, player, 'nurtureFlower', { slotId: SLOT.id });
+        assert.equal(flower.health, 30 + engine.NURTURE_ITEMS.water.health);
+        assert.equal(player.resources.water, 0);
+    });
+});
+
+describe('growth', () => {
+    test('a Love Bloom goes from seed to bloom with six waterings in the sun', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 1, water: 10 });
+        engine.startRound(room);
+        act(room, player, 'plantFlower', { slotId: SLOT.id });
+
+        const stages = [];
+        for (let i = 0; i < 6; i++) {
+            act(room, player, 'nurtureFlower', { slotId: SLOT.id });
+            stages.push(room.flowers[SLOT.id].stage);
+        }
+        assert.deepEqual(stages, ['sprout', 'sprout', 'budding', 'budding', 'budding', 'bloom']);
+        assert.equal(room.stats[player.id].flowersBloomed, 1);
+        assert.equal(eventsNamed(room, 'flowerGrown').length, 3);
+        assert.equal(act(room, player, 'nurtureFlower', { slotId: SLOT.id }).code, 'FULLY_GROWN');
+    });
+
+    test('a bloom that withers back and regrows is only counted once', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 1, water: 20 });
+        engine.startRound(room);
+        room.weatherSecondsLeft = Infinity; // Stay sunny
+        act(room, player, 'plantFlower', { slotId: SLOT.id });
+        for (let i = 0; i < 6; i++) {
+            act(room, player, 'nurtureFlower', { slotId: SLOT.id });
+        }
+        const flower = room.flowers[SLOT.id];
+        assert.equal(flower.stage, 'bloom');
+
+        flower.health = 10; // Parched enough to shrink back a stage
+        while (flower.stage === 'bloom') engine.tick(room);
+        while (flower.stage !== 'bloom') act(room, player, 'nurtureFlower', { slotId: SLOT.id });
+        assert.equal(room.stats[player.id].flowersBloomed, 1);
+    });
+
+    test('crafted fertiliser gives a bigger push', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 3, water: 2 });
+        engine.startRound(room);
+        act(room, player, 'plantFlower', { slotId: SLOT.id, species: 'loveBloom' });
+
+        assert.equal(act(room, player, 'craftItem', { recipe: 'fertiliser' }).code, 'OK');
+        assert.equal(player.resources.fertiliser, 1);
+        act(room, player, 'nurtureFlower', { slotId: SLOT.id, item: 'fertiliser' });
+        assert.equal(room.flowers[SLOT.id].stage, 'sprout');
+    });
+
+    test('neglected flowers wilt and eventually die', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 1 });
+        engine.startRound(room);
+        room.weatherSecondsLeft = Infinity; // Stay sunny
+        act(room, player, 'plantFlower', { slotId: SLOT.id });
+
+        runFor(room, 120000);
+        assert.ok(room.flowers[SLOT.id].wilted);
+        runFor(room, 60000);
+        assert.equal(room.flowers[SLOT.id], undefined);
+        assert.deepEqual(eventsNamed(room, 'flowerDied'), [SLOT.id]);
+    });
+});
+
+describe('weather', () => {
+    test('changes follow the forecast, which stays topped up', () => {
+        const { room } = createTestRoom();
+        const [next] = room.weatherForecast;
+        engine.changeWeather(room);
+        assert.equal(room.weather, next.weather);
+        assert.equal(room.weatherSecondsLeft, next.duration);
+        assert.equal(room.weatherForecast.length, engine.getWeatherForecast(room).upcoming.length);
+        assert.ok(room.weatherForecast.length > 0);
+    });
+
+    test('forced weather takes over at once and the forecast follows on from it', () => {
+        const { room } = createTestRoom();
+        engine.forceWeather(room, 'Stormy', 30);
+        assert.equal(room.weather, 'Stormy');
+        assert.equal(room.weatherSecondsLeft, 30);
+        assert.deepEqual(eventsNamed(room, 'weatherUpdate'), ['Stormy']);
+        assert.equal(room.weatherForecast.length, engine.getWeatherForecast(room).upcoming.length);
+    });
+});
+
+describe('round lifecycle', () => {
+    test('the countdown starts once everyone is ready', () => {
+        const { room } = createTestRoom();
+        const first = addTestPlayer(room);
+        const second = addTestPlayer(room);
+
+        engine.setPlayerReady(room, first, true);
+        assert.equal(room.phase, 'lobby');
+        engine.setPlayerReady(room, second, true);
+        assert.equal(room.phase, 'countdown');
+        runFor(room, engine.COUNTDOWN_SECONDS * 1000);
+        assert.equal(room.phase, 'playing');
+        assert.equal(room.gameTimer, room.roundDuration);
+    });
+
+    test('the game ends when the timer runs out, with a summary of the round', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 1, water: 6 });
+        engine.startRound(room);
+        act(room, player, 'plantFlower', { slotId: SLOT.id });
+        for (let i = 0; i < 6; i++) act(room, player, 'nurtureFlower', { slotId: SLOT.id });
+
+        room.gameTimer = 3; // Before the bloom dries out
+        runFor(room, 3000);
+        assert.equal(room.phase, 'results');
+        const [gameOver] = eventsNamed(room, 'gameOver');
+        assert.equal(gameOver.summary.bloomsInGarden, 1);
+        assert.equal(gameOver.summary.players[0].id, player.id);
+        assert.equal(act(room, player, 'nurtureFlower', { slotId: SLOT.id }).code, 'NOT_PLAYING');
+    });
+
+    test('rooms survive being saved and loaded', () => {
+        const { room } = createTestRoom();
+        const player = addTestPlayer(room, { petals: 1 });
+        engine.startRound(room);
+        act(room, player, 'plantFlower', { slotId: SLOT.id });
+        runFor(room, 10000);
+
+        const saved = JSON.parse(JSON.stringify(engine.serializeRoom(room)));
+        const loaded = engine.deserializeRoom(saved, classicLayout);
+        assert.deepEqual(engine.serializeRoom(loaded), engine.serializeRoom(room));
+    });
+});
@@ -0,0 +1,45 @@
+// Tests for the Prometheus text rendering in metrics.js, run with `npm test`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('../metrics');
+
+// The registry is shared, so each test picks out its own metric's lines
+function linesFor(name) {
+    return renderMetrics().split('\n').filter(line => line.startsWith(name) || line.includes(` ${name} `));
+}
+
+test('counters add up per label set', () => {
+    const counter = createCounter('test_events_total', 'Events seen', ['event']);
+    counter.inc({ event: 'plantFlower' });
+    counter.inc({ event: 'plantFlower' });
+    counter.inc({ event: 'craftItem' }, 3);
+    assert.deepEqual(linesFor('test_events_total'), [
+        '# HELP test_events_total Events seen',
+        '# TYPE test_events_total counter',
+        'test_events_total{event="plantFlower"} 2',
+        'test_events_total{event="craftItem"} 3'
+    ]);
+});
+
+test('gauges are read when scraped and label values are escaped', () => {
+    let value = 1;
+    createGauge('test_level', 'A level', () => value);
+    createGauge('test_named', 'By name', () => [{ labels: { name: 'say "hi"\\' }, value: 2 }]);
+    value = 5;
+    assert.ok(linesFor('test_level').includes('test_level 5'));
+    assert.ok(linesFor('test_named').includes('test_named{name="say \\"hi\\"\\\\"} 2'));
+});
+
+test('histograms count observations into cumulative buckets', () => {
+    const histogram = createHistogram('test_duration_seconds', 'How long', [0.1, 1]);
+    histogram.observe(0.05);
+    histogram.observe(0.5);
+    histogram.observe(2);
+    assert.deepEqual(linesFor('test_duration_seconds').slice(2), [
+        'test_duration_seconds_bucket{le="0.1"} 1',
+        'test_duration_seconds_bucket{le="1"} 2',
+        'test_duration_seconds_bucket{le="+Inf"} 3',
+        'test_duration_seconds_sum 2.55',
+        'test_duration_seconds_count 3'
+    ]);
+});